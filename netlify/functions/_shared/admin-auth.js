@@ -0,0 +1,170 @@
+// توثيق لوحة التحكم وصلاحياتها:
+// - المستخدمون من ADMIN_USERS (JSON): [{ "username": "...", "role": "owner|coach|read_only", "password_hash": "scrypt$..." }]
+//   لتوليد الـ hash: npm run admin:hash-password -- "<password>"
+// - بعد الدخول: توكن موقّع (HMAC بـ ADMIN_TOKEN_SECRET) قصير العمر في cookie HttpOnly
+// - كل دالة admin-* تستدعي requireRole قبل أي عمل؛ عرض بيانات جلسة يُسجَّل في admin_access_log
+const crypto = require('crypto');
+const { getClient } = require('./supabase');
+const { store } = require('./blobs');
+const { clientIp } = require('./quota');
+
+const COOKIE = 'admin_token';
+const TOKEN_TTL_S = Number(process.env.ADMIN_TOKEN_TTL_S) || 2 * 3600;
+const ROLES = { read_only: 1, coach: 2, owner: 3 };
+// قفل مؤقت بعد محاولات فاشلة متكررة (لكل IP)
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+/* ---- كلمات المرور (scrypt) ---- */
+function hashPassword(password, { N = 16384, r = 8, p = 1 } = {}) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${b64url(salt)}$${b64url(hash)}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expect = Buffer.from(hash, 'base64url');
+  const got = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expect.length, { N: +N, r: +r, p: +p });
+  return crypto.timingSafeEqual(expect, got);
+}
+
+function loadUsers() {
+  try {
+    const users = JSON.parse(process.env.ADMIN_USERS || '[]');
+    return Array.isArray(users) ? users.filter(u => u && u.username && ROLES[u.role] && u.password_hash) : [];
+  } catch (e) {
+    console.error('ADMIN_USERS is not valid JSON');
+    return [];
+  }
+}
+
+// hash ثابت لمستخدم غير موجود حتى لا يكشف زمن الرد أسماء المستخدمين
+let dummyHash = null;
+
+function checkCredentials(username, password) {
+  const user = loadUsers().find(u => u.username === username);
+  if (!user && !dummyHash) dummyHash = hashPassword(crypto.randomBytes(8).toString('hex'));
+  const valid = verifyPassword(password || '', user ? user.password_hash : dummyHash);
+  return user && valid ? { username: user.username, role: user.role } : null;
+}
+
+/* ---- التوكن ---- */
+function tokenSecret() {
+  const s = process.env.ADMIN_TOKEN_SECRET;
+  if (!s || s.length < 32) throw new Error('ADMIN_TOKEN_SECRET must be set (>= 32 chars)');
+  return s;
+}
+
+function issueToken(user, now = Date.now()) {
+  const payload = b64url(JSON.stringify({ sub: user.username, role: user.role, iat: Math.floor(now / 1000), exp: Math.floor(now / 1000) + TOKEN_TTL_S }));
+  const sig = b64url(crypto.createHmac('sha256', tokenSecret()).update(payload).digest());
+  return `${payload}.${sig}`;
+}
+
+function readToken(token) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const expect = crypto.createHmac('sha256', tokenSecret()).update(payload).digest();
+  const got = Buffer.from(sig, 'base64url');
+  if (got.length !== expect.length || !crypto.timingSafeEqual(expect, got)) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return null; }
+  if (!claims.exp || claims.exp * 1000 < Date.now() || !ROLES[claims.role]) return null;
+  // المستخدم حُذف أو تغيّر دوره في ADMIN_USERS → التوكن لم يعد صالحًا
+  const user = loadUsers().find(u => u.username === claims.sub);
+  if (!user || user.role !== claims.role) return null;
+  return claims;
+}
+
+/* ---- Cookies ---- */
+function readCookie(event, name) {
+  const raw = (event.headers || {}).cookie || '';
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// SameSite=Strict يمنع إرسال الـ cookie من مواقع أخرى (CSRF)؛ المتصفحات تقبل Secure على localhost أيضًا
+function sessionCookie(token) {
+  return token
+    ? `${COOKIE}=${encodeURIComponent(token)}; HttpOnly; Secure; SameSite=Strict; Path=/; Max-Age=${TOKEN_TTL_S}`
+    : `${COOKIE}=; HttpOnly; Secure; SameSite=Strict; Path=/; Max-Age=0`;
+}
+
+/**
+ * يتحقق من توكن الأدمن ودوره قبل أي عمل.
+ * { ok: true, admin: { username, role } } أو { ok: false, response } (401/403 جاهز للإرجاع)
+ */
+function requireRole(event, minRole = 'read_only') {
+  let claims = null;
+  try {
+    claims = readToken(readCookie(event, COOKIE));
+  } catch (e) {
+    console.error(e);
+    return { ok: false, response: { statusCode: 500, body: 'Admin auth is not configured' } };
+  }
+  if (!claims) return { ok: false, response: { statusCode: 401, body: 'Unauthorized' } };
+  if (ROLES[claims.role] < ROLES[minRole]) return { ok: false, response: { statusCode: 403, body: `Requires role: ${minRole}` } };
+  return { ok: true, admin: { username: claims.sub, role: claims.role, exp: claims.exp } };
+}
+
+/* ---- قفل محاولات الدخول (Blobs: admin-auth/login/<ip>) ---- */
+const lockKey = (ip) => `login/${encodeURIComponent(ip)}`;
+
+async function loginLocked(event) {
+  try {
+    const entry = await store('admin-auth').get(lockKey(clientIp(event)), { type: 'json' });
+    return !!(entry && entry.failures >= MAX_FAILED_LOGINS && Date.now() - entry.last < LOCKOUT_MS);
+  } catch (e) {
+    console.warn('admin login lock read failed:', e.message);
+    return false;
+  }
+}
+
+async function recordLogin(event, ok) {
+  try {
+    const s = store('admin-auth');
+    const key = lockKey(clientIp(event));
+    if (ok) return await s.delete(key);
+    const entry = await s.get(key, { type: 'json' });
+    const fresh = !entry || Date.now() - entry.last >= LOCKOUT_MS;
+    await s.setJSON(key, { failures: fresh ? 1 : entry.failures + 1, last: Date.now() });
+  } catch (e) {
+    console.warn('admin login lock write failed:', e.message);
+  }
+}
+
+/* ---- سجل الوصول (best-effort) ---- */
+async function logAccess(event, admin, action, { session_id = null, details = {} } = {}) {
+  try {
+    const supabase = await getClient();
+    const { error } = await supabase.from('admin_access_log').insert({
+      admin: admin.username,
+      role: admin.role,
+      action,
+      session_id,
+      ip: clientIp(event),
+      details,
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.warn('admin access log insert failed:', e.message);
+  }
+}
+
+module.exports = {
+  ROLES, hashPassword, verifyPassword, checkCredentials, issueToken, readToken,
+  sessionCookie, requireRole, loginLocked, recordLogin, logAccess,
+};
+
+// CLI: node netlify/functions/_shared/admin-auth.js "<password>"
+if (require.main === module) {
+  if (!process.argv[2]) { console.error('usage: admin-auth.js <password>'); process.exit(1); }
+  console.log(hashPassword(process.argv[2]));
+}
@@ -0,0 +1,26 @@
+// Netlify Blobs helper للدوال بصيغة Lambda (exports.handler).
+// سياق الـ Blobs يصل داخل event.blobs ولا تقرؤه @netlify/blobs v6 تلقائيًا،
+// فنمرره يدويًا قبل getStore (نفس ما يفعله connectLambda في الإصدارات الأحدث).
+const { getStore } = require('@netlify/blobs');
+
+function connectBlobs(event) {
+  if (!event || !event.blobs) return;
+  try {
+    const data = JSON.parse(Buffer.from(event.blobs, 'base64').toString('utf8'));
+    const headers = event.headers || {};
+    globalThis.netlifyBlobsContext = Buffer.from(JSON.stringify({
+      edgeURL: data.url,
+      token: data.token,
+      siteID: headers['x-nf-site-id'],
+      deployID: headers['x-nf-deploy-id'],
+    })).toString('base64');
+  } catch (_) { /* بيئة محلية بدون سياق */ }
+}
+
+// محليًا (خارج Netlify) يمكن تمرير NETLIFY_SITE_ID + NETLIFY_BLOBS_TOKEN
+function store(name) {
+  const { NETLIFY_SITE_ID: siteID, NETLIFY_BLOBS_TOKEN: token } = process.env;
+  return getStore(siteID && token ? { name, siteID, token } : name);
+}
+
+module.exports = { connectBlobs, store };
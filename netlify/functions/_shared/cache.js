@@ -0,0 +1,69 @@
+// Content-addressed cache لردود الـ AI + دمج الطلبات المتطابقة المتزامنة.
+// المفتاح = sha256(model المطلوب + المزوّد + system + messages + generation + mode).
+// التخزين في Netlify Blobs (store: "ai-cache") مع expires_at؛ Blobs لا يدعم TTL فنتحقق عند القراءة.
+// الدمج: أول طلب يضع علامة inflight/<key>، والطلبات المطابقة تنتظر النتيجة في الكاش بدل استدعاء النموذج.
+// العلامة ليست قفلًا ذرّيًا — في أسوأ الأحوال يخرج طلبان للنموذج، وهو نفس سلوك ما قبل الكاش.
+const crypto = require('crypto');
+const { store } = require('./blobs');
+
+const STORE_NAME = 'ai-cache';
+const TTL_MS = (Number(process.env.AI_CACHE_TTL_S) > 0 ? Number(process.env.AI_CACHE_TTL_S) : 6 * 3600) * 1000;
+const INFLIGHT_TTL_MS = 30000;
+const POLL_MS = 400;
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+async function lookup(key) {
+  try {
+    const row = await store(STORE_NAME).get(`entry/${key}`, { type: 'json' });
+    if (!row || row.expires_at < Date.now()) return null;
+    return row.value;
+  } catch (e) {
+    console.warn('cache lookup failed:', e.message);
+    return null;
+  }
+}
+
+async function save(key, value) {
+  try {
+    await store(STORE_NAME).setJSON(`entry/${key}`, { value, created_at: Date.now(), expires_at: Date.now() + TTL_MS });
+  } catch (e) {
+    console.warn('cache save failed:', e.message);
+  }
+}
+
+// يرجع true لو هذا الطلب هو من سيستدعي النموذج، false لو يوجد طلب مطابق جارٍ
+async function claim(key, requestId) {
+  try {
+    const s = store(STORE_NAME);
+    const marker = await s.get(`inflight/${key}`, { type: 'json' });
+    if (marker && marker.requestId !== requestId && Date.now() - marker.at < INFLIGHT_TTL_MS) return false;
+    await s.setJSON(`inflight/${key}`, { requestId, at: Date.now() });
+    return true;
+  } catch (e) {
+    return true;
+  }
+}
+
+async function release(key) {
+  try { await store(STORE_NAME).delete(`inflight/${key}`); } catch (_) {}
+}
+
+// ينتظر نتيجة الطلب الجاري حتى تظهر في الكاش أو تختفي العلامة أو ينتهي الوقت
+async function waitFor(key, maxWaitMs) {
+  const deadline = Date.now() + Math.min(maxWaitMs, INFLIGHT_TTL_MS);
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, POLL_MS));
+    const hit = await lookup(key);
+    if (hit) return hit;
+    try {
+      const marker = await store(STORE_NAME).get(`inflight/${key}`, { type: 'json' });
+      if (!marker) return null; // الطلب الأول فشل/انتهى بدون نتيجة
+    } catch (_) { return null; }
+  }
+  return null;
+}
+
+module.exports = { cacheKey, lookup, save, claim, release, waitFor };
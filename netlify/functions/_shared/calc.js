@@ -0,0 +1,208 @@
+// حسابات اللياقة الحتمية (بدل حساب النموذج): BMR / TDEE / سعرات حسب الهدف / ماكروز / 1RM / جدول أحمال RPE.
+// كل المدخلات تتحوّل لـ kg/cm داخليًا؛ المخرجات بالمتري + الوحدة التي طلبها المستخدم للأحمال.
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const ACTIVITY_FACTORS = { sedentary: 1.2, light: 1.375, moderate: 1.55, active: 1.725, very_active: 1.9 };
+const GOAL_ADJUST = { cut: -0.20, recomp: -0.10, maintain: 0, bulk: 0.10 };
+const PROTEIN_G_PER_KG = { cut: 2.2, recomp: 2.0, maintain: 1.8, bulk: 1.8 };
+const FAT_SHARE = 0.25;                       // 25% من السعرات دهون
+const MIN_FAT_G_PER_KG = 0.6;
+const MIN_KCAL = { male: 1500, female: 1200 }; // حد أدنى آمن للسعرات
+
+// جدول RPE (Tuchscherer): كل نصف درجة RPE = خطوة واحدة، وكل تكرار إضافي = خطوتين
+const RPE_STEPS = [100, 97.8, 95.5, 93.9, 92.2, 90.7, 89.2, 87.8, 86.3, 85.0, 83.7, 82.4, 81.1,
+  79.9, 78.6, 77.4, 76.2, 75.1, 73.9, 72.3, 70.7, 69.4, 68.0, 66.7, 65.3, 64.0];
+const RPE_VALUES = [10, 9.5, 9, 8.5, 8, 7.5, 7, 6.5];
+
+const round = (n, step = 1) => Math.round(n / step) * step;
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/* ---- Unit conversion ---- */
+// كل تهجئات الوحدات المقبولة → الوحدة القياسية (للملف الشخصي والأحمال و convert[])
+const UNIT_ALIASES = {
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg', 'كيلو': 'kg', 'كجم': 'kg',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb', 'رطل': 'lb',
+  cm: 'cm', cms: 'cm', centimeter: 'cm', centimeters: 'cm', 'سم': 'cm',
+  in: 'in', inch: 'in', inches: 'in', 'بوصة': 'in',
+};
+const FACTORS = { 'lb>kg': KG_PER_LB, 'in>cm': CM_PER_IN };
+
+function unitOf(unit) { return UNIT_ALIASES[String(unit ?? '').trim().toLowerCase()] || null; }
+function toKg(value, unit = 'kg') { return unitOf(unit) === 'lb' ? value * KG_PER_LB : value; }
+function toCm(value, unit = 'cm') { return unitOf(unit) === 'in' ? value * CM_PER_IN : value; }
+
+// null لو الوحدة غير معروفة أو الزوج غير متوافق (kg → cm)
+function convert(value, from, to) {
+  const v = Number(value);
+  const f = unitOf(from), t = unitOf(to);
+  if (!f || !t) return null;
+  if (f === t) return v;
+  if (FACTORS[`${f}>${t}`]) return round1(v * FACTORS[`${f}>${t}`]);
+  if (FACTORS[`${t}>${f}`]) return round1(v / FACTORS[`${t}>${f}`]);
+  return null;
+}
+
+// convert[] من الطلب → { conversions } أو { errors } بنفس أسلوب أخطاء الملف الشخصي
+function convertAll(list) {
+  const errors = [];
+  const conversions = list.slice(0, 20).map((c, i) => {
+    if (!c || typeof c !== 'object' || Array.isArray(c)) { errors.push(`convert[${i}] must be an object { value, from, to }`); return null; }
+    if (c.value === null || c.value === '' || !Number.isFinite(Number(c.value))) { errors.push(`convert[${i}].value must be a number`); return null; }
+    const result = convert(c.value, c.from, c.to);
+    if (result === null) errors.push(`convert[${i}]: cannot convert "${c.from}" to "${c.to}" (supported: kg/lb, cm/in)`);
+    return { ...c, result };
+  });
+  return errors.length ? { errors } : { conversions };
+}
+
+/* ---- Formulas ---- */
+function mifflinStJeor({ sex, weight_kg, height_cm, age }) {
+  return 10 * weight_kg + 6.25 * height_cm - 5 * age + (sex === 'male' ? 5 : -161);
+}
+// Harris-Benedict (مراجعة Roza & Shizgal 1984)
+function harrisBenedict({ sex, weight_kg, height_cm, age }) {
+  return sex === 'male'
+    ? 88.362 + 13.397 * weight_kg + 4.799 * height_cm - 5.677 * age
+    : 447.593 + 9.247 * weight_kg + 3.098 * height_cm - 4.330 * age;
+}
+function katchMcArdle({ weight_kg, body_fat_pct }) {
+  return 370 + 21.6 * weight_kg * (1 - body_fat_pct / 100);
+}
+function epley(weight, reps) { return reps === 1 ? weight : weight * (1 + reps / 30); }
+function brzycki(weight, reps) { return weight * 36 / (37 - reps); }
+
+function rpePercent(reps, rpe) {
+  const i = (reps - 1) * 2 + (10 - rpe) * 2;
+  return RPE_STEPS[i] ?? null;
+}
+
+/* ---- Input normalization ---- */
+function normalizeSex(v) {
+  const s = String(v || '').trim().toLowerCase();
+  if (/^(m|male|man|ذكر|رجل|راجل)$/.test(s)) return 'male';
+  if (/^(f|female|woman|أنثى|انثى|ست|بنت)$/.test(s)) return 'female';
+  return null;
+}
+
+function parseProfile(input = {}) {
+  const errors = [];
+  const assumptions = [];
+  const num = (v) => (v === undefined || v === null || v === '' ? undefined : Number(v));
+
+  const sex = normalizeSex(input.sex);
+  const age = num(input.age);
+  const weight = num(input.weight);
+  const height = num(input.height);
+  const body_fat_pct = num(input.body_fat_pct);
+
+  if (!sex) errors.push('sex must be "male" or "female"');
+  if (!(age >= 13 && age <= 100)) errors.push('age must be between 13 and 100');
+  const weight_kg = toKg(weight, input.weight_unit);
+  const height_cm = toCm(height, input.height_unit);
+  if (!(weight_kg >= 30 && weight_kg <= 350)) errors.push('weight must be 30–350 kg (or equivalent lb)');
+  if (!(height_cm >= 120 && height_cm <= 250)) errors.push('height must be 120–250 cm (or equivalent in)');
+  if (body_fat_pct !== undefined && !(body_fat_pct >= 3 && body_fat_pct <= 60)) errors.push('body_fat_pct must be between 3 and 60');
+
+  let activity = String(input.activity || '').toLowerCase();
+  if (!ACTIVITY_FACTORS[activity]) { activity = 'moderate'; assumptions.push('activity=moderate'); }
+  let goal = String(input.goal || '').toLowerCase();
+  if (GOAL_ADJUST[goal] === undefined) { goal = 'maintain'; assumptions.push('goal=maintain'); }
+
+  return { errors, assumptions, profile: { sex, age, weight_kg, height_cm, body_fat_pct, activity, goal } };
+}
+
+/* ---- Calculations ---- */
+function energy(profile) {
+  const bmr = {
+    mifflin_st_jeor: round(mifflinStJeor(profile)),
+    harris_benedict: round(harrisBenedict(profile)),
+    katch_mcardle: profile.body_fat_pct !== undefined ? round(katchMcArdle(profile)) : null,
+  };
+  // Katch-McArdle أدق لو نسبة الدهون معروفة، وإلا Mifflin-St Jeor
+  const used = bmr.katch_mcardle !== null ? 'katch_mcardle' : 'mifflin_st_jeor';
+  const factor = ACTIVITY_FACTORS[profile.activity];
+  const tdee = round(bmr[used] * factor);
+
+  const floor = MIN_KCAL[profile.sex];
+  const targets = Object.fromEntries(Object.entries(GOAL_ADJUST)
+    .map(([g, adj]) => [g, Math.max(floor, round(tdee * (1 + adj), 10))]));
+
+  return { bmr, bmr_used: used, activity_factor: factor, tdee, targets };
+}
+
+function macros(calories, weight_kg, goal) {
+  const protein_g = round(PROTEIN_G_PER_KG[goal] * weight_kg);
+  const fat_g = round(Math.max(calories * FAT_SHARE / 9, MIN_FAT_G_PER_KG * weight_kg));
+  const carbs_g = Math.max(0, round((calories - protein_g * 4 - fat_g * 9) / 4));
+  return {
+    calories,
+    protein_g, fat_g, carbs_g,
+    split_pct: {
+      protein: round(protein_g * 4 / calories * 100),
+      fat: round(fat_g * 9 / calories * 100),
+      carbs: round(carbs_g * 4 / calories * 100),
+    },
+    protein_g_per_kg: PROTEIN_G_PER_KG[goal],
+  };
+}
+
+function oneRepMax({ weight, reps, unit = 'kg' } = {}) {
+  const w = Number(weight), r = Number(reps);
+  if (!(w > 0) || !(r >= 1 && r <= 12)) return { error: 'lift needs weight > 0 and reps between 1 and 12' };
+  const e = epley(w, r), b = brzycki(w, r);
+  return { unit, epley: round1(e), brzycki: round1(b), estimate: round1((e + b) / 2) };
+}
+
+// أحمال مقرّبة لأقرب 2.5kg / 5lb لكل (تكرارات × RPE)
+function rpeTable(oneRm, unit = 'kg', repsList = [1, 2, 3, 4, 5, 6, 8, 10]) {
+  const step = unitOf(unit) === 'lb' ? 5 : 2.5;
+  return repsList.map(reps => ({
+    reps,
+    loads: RPE_VALUES.map(rpe => {
+      const pct = rpePercent(reps, rpe);
+      return { rpe, pct, load: pct === null ? null : round(oneRm * pct / 100, step) };
+    }),
+  }));
+}
+
+// نقطة الدخول: profile اختياري، lift اختياري؛ يرجّع { errors } لو المدخلات غير صالحة
+function calculate(input = {}) {
+  const out = { assumptions: [] };
+
+  if (input.profile) {
+    const { errors, assumptions, profile } = parseProfile(input.profile);
+    if (errors.length) return { errors };
+    const e = energy(profile);
+    out.profile = {
+      ...profile,
+      weight_kg: round1(profile.weight_kg), weight_lb: convert(profile.weight_kg, 'kg', 'lb'),
+      height_cm: round1(profile.height_cm), height_in: convert(profile.height_cm, 'cm', 'in'),
+    };
+    out.energy = e;
+    out.macros = macros(e.targets[profile.goal], profile.weight_kg, profile.goal);
+    out.assumptions.push(...assumptions);
+  }
+
+  if (input.lift) {
+    const orm = oneRepMax(input.lift);
+    if (orm.error) return { errors: [orm.error] };
+    out.one_rm = orm;
+    out.rpe_table = rpeTable(orm.estimate, orm.unit);
+  }
+
+  if (Array.isArray(input.convert)) {
+    const { errors, conversions } = convertAll(input.convert);
+    if (errors) return { errors };
+    out.conversions = conversions;
+  }
+
+  if (!out.profile && !out.one_rm && !out.conversions) return { errors: ['Provide profile, lift or convert[]'] };
+  return out;
+}
+
+module.exports = {
+  ACTIVITY_FACTORS, GOAL_ADJUST,
+  calculate, convert, mifflinStJeor, harrisBenedict, katchMcArdle, epley, brzycki, rpePercent,
+};
@@ -0,0 +1,127 @@
+// صحة النماذج + circuit breaker مشترك بين الـ invocations (Netlify Blobs, store: "model-health").
+// لكل target (provider:model): معدل أخطاء (EWMA)، زمن الاستجابة (EWMA)، أخطاء متتالية، و"غير موجود" (404).
+// closed → يُستخدم عادي | open → يُتخطّى حتى open_until | half_open → محاولة اختبار واحدة بعد انتهاء المهلة.
+// الكتابة best-effort (بدون ذرّية)، وأي عطل في التخزين لا يوقف الخدمة.
+const { store } = require('./blobs');
+
+const STORE_NAME = 'model-health';
+const FAILURE_THRESHOLD = 3;                 // أخطاء متتالية قبل الفتح
+const BASE_COOLDOWN_MS = 60 * 1000;          // تتضاعف مع كل فتح متكرر
+const MAX_COOLDOWN_MS = 15 * 60 * 1000;
+const NOT_FOUND_COOLDOWN_MS = 6 * 60 * 60 * 1000; // نموذج محذوف/غير مدعوم
+const ALPHA = 0.3;
+
+const targetId = (t) => `${t.provider}:${t.model}`;
+const keyOf = (t) => `target/${encodeURIComponent(targetId(t))}`;
+const ewma = (prev, v) => (Number.isFinite(prev) ? prev * (1 - ALPHA) + v * ALPHA : v);
+
+function stateOf(entry, now = Date.now()) {
+  if (!entry || !entry.open_until) return 'closed';
+  return entry.open_until > now ? 'open' : 'half_open';
+}
+
+// 4xx غير 404/408/429 سببها الطلب نفسه (صورة غير صالحة مثلًا) وليست صحة النموذج
+function countsAsFailure(status) {
+  return !(status >= 400 && status < 500) || status === 404 || status === 408 || status === 429;
+}
+const looksNotFound = (status, error) => status === 404 || /not found|is not supported|deprecated|does not exist/i.test(String(error || ''));
+
+async function getEntry(target) {
+  try { return await store(STORE_NAME).get(keyOf(target), { type: 'json' }); }
+  catch (e) { console.warn('health read failed:', e.message); return null; }
+}
+
+/**
+ * outcome: { ok: true, latencyMs } | { ok: false, status, error } ؛ kind: "json" | "stream"
+ * (زمن البث = حتى أول بايت، لذلك يُحفظ منفصلًا عن زمن الرد الكامل)
+ */
+async function recordResult(target, outcome, kind = 'json') {
+  if (!outcome) return;
+  if (!outcome.ok && !countsAsFailure(outcome.status)) return;
+  try {
+    const now = Date.now();
+    const prev = (await getEntry(target)) || { target: targetId(target), ok_count: 0, error_count: 0, consecutive_failures: 0, open_count: 0, latency: {} };
+    const e = { ...prev, latency: { ...prev.latency }, updated_at: new Date(now).toISOString() };
+
+    if (outcome.ok) {
+      e.ok_count++;
+      e.consecutive_failures = 0;
+      e.open_until = null;
+      e.open_count = 0;
+      e.not_found = false;
+      e.error_rate = ewma(prev.error_rate, 0);
+      e.latency[kind] = Math.round(ewma(prev.latency?.[kind], outcome.latencyMs));
+      e.last_ok_at = e.updated_at;
+    } else {
+      const wasProbe = stateOf(prev, now) === 'half_open';
+      e.error_count++;
+      e.consecutive_failures++;
+      e.error_rate = ewma(prev.error_rate, 1);
+      e.last_status = outcome.status;
+      e.last_error = String(outcome.error || '').slice(0, 300);
+      e.last_error_at = e.updated_at;
+      if (looksNotFound(outcome.status, outcome.error)) {
+        e.not_found = true;
+        e.open_until = now + NOT_FOUND_COOLDOWN_MS;
+      } else if (wasProbe || e.consecutive_failures >= FAILURE_THRESHOLD) {
+        e.open_count++;
+        e.open_until = now + Math.min(BASE_COOLDOWN_MS * 2 ** (e.open_count - 1), MAX_COOLDOWN_MS);
+      }
+    }
+    await store(STORE_NAME).setJSON(keyOf(target), e);
+  } catch (err) {
+    console.warn('health write failed:', err.message);
+  }
+}
+
+/**
+ * يرتّب المرشحين: المتاح (closed) حسب الزمن الأخير ومعدل الخطأ مع تفضيل بسيط لترتيب الـ pool،
+ * ثم نماذج half_open كمحاولة اختبار (probe)، والمفتوح يُتخطّى.
+ * pinFirst: النموذج الذي طلبه العميل صراحةً يبقى أولًا لو متاح.
+ * لو كل النماذج مفتوحة نرجّع القائمة كاملة كـ probes (fail-open).
+ */
+async function orderCandidates(candidates, { kind = 'json', pinFirst = false } = {}) {
+  if (candidates.length <= 1) return candidates;
+  const now = Date.now();
+  const entries = await Promise.all(candidates.map(getEntry));
+
+  const scored = candidates.map((t, i) => {
+    const e = entries[i];
+    const latency = e?.latency?.[kind] ?? e?.latency?.[kind === 'json' ? 'stream' : 'json'];
+    const score = (Number.isFinite(latency) ? latency : 3000) * (1 + 2 * (e?.error_rate || 0)) * (1 + 0.15 * i);
+    return { target: t, state: stateOf(e, now), score, index: i };
+  });
+
+  const available = scored.filter(s => s.state === 'closed');
+  const probes = scored.filter(s => s.state === 'half_open');
+  const pinned = pinFirst && available[0]?.index === 0 ? available.shift() : null;
+  available.sort((a, b) => a.score - b.score);
+
+  const ordered = [
+    ...(pinned ? [pinned.target] : []),
+    ...available.map(s => s.target),
+    ...probes.map(s => ({ ...s.target, probe: true })),
+  ];
+  return ordered.length ? ordered : candidates.map(t => ({ ...t, probe: true }));
+}
+
+async function listHealth() {
+  const { blobs } = await store(STORE_NAME).list({ prefix: 'target/' });
+  const now = Date.now();
+  const entries = await Promise.all(blobs.map(b => store(STORE_NAME).get(b.key, { type: 'json' })));
+  return entries.filter(Boolean).map(e => ({ ...e, state: stateOf(e, now) }));
+}
+
+async function resetHealth(target) {
+  await store(STORE_NAME).delete(keyOf(target));
+}
+
+// تعطيل يدوي من الأدمن لمدة محددة
+async function disableTarget(target, minutes) {
+  const prev = (await getEntry(target)) || { target: targetId(target), ok_count: 0, error_count: 0, consecutive_failures: 0, open_count: 0, latency: {} };
+  const entry = { ...prev, open_until: Date.now() + minutes * 60000, last_error: 'disabled by admin', updated_at: new Date().toISOString() };
+  await store(STORE_NAME).setJSON(keyOf(target), entry);
+  return { ...entry, state: stateOf(entry) };
+}
+
+module.exports = { recordResult, orderCandidates, listHealth, resetHealth, disableTarget, stateOf };
@@ -0,0 +1,118 @@
+// تجميع المحادثة على السيرفر: نحافظ على سجل ضمن ميزانية توكنز، والأدوار القديمة تُستبدل بملخص تراكمي.
+// الملخص يُخزَّن في Blobs لكل جلسة مع بصمة للرسائل التي يغطيها؛ لو اتعدّل السجل (تعديل رسالة) يُعاد بناؤه.
+
+const crypto = require('crypto');
+const { store } = require('./blobs');
+
+const STORE = 'summaries';
+const DEFAULT_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET || 24000);
+const REFILL_RATIO = 0.7;          // عند التجاوز نقص لـ 70% من الميزانية حتى لا نلخّص كل رسالة
+const MEDIA_TOKENS = 300;          // تقدير تقريبي لكل صورة/مقطع
+const SUMMARY_INPUT_CHARS = 24000; // أقصى نص يُرسل للتلخيص في المرة الواحدة
+const FALLBACK_CHARS = 2500;
+
+// sessionId يصل من العميل: يُرمَّز في المفتاح مثل باقي الـ stores (quota.js) حتى لا يكسر "/" أو ".." مسار المفتاح
+const summaryKey = (sessionId) => `session/${encodeURIComponent(String(sessionId)).slice(0, 200)}`;
+
+// تقدير بدون tokenizer: العربي ≈ 2.5 حرف/توكن، اللاتيني ≈ 4
+function estimateTokens(message) {
+  return (message.parts || []).reduce((sum, p) => {
+    if (p.media) return sum + MEDIA_TOKENS;
+    const t = p.text || '';
+    return sum + Math.ceil(t.length / (/[\u0600-\u06FF]/.test(t) ? 2.5 : 4));
+  }, 4);
+}
+
+function fingerprint(messages) {
+  const flat = messages.map(m => [m.role, (m.parts || []).map(p => p.media ? `[${p.media.mime}]` : p.text || '').join('\n')]);
+  return crypto.createHash('sha256').update(JSON.stringify(flat)).digest('hex');
+}
+
+// أقل عدد رسائل من البداية يجب حذفه حتى يدخل الباقي في الميزانية (آخر رسالة تبقى دائمًا)
+function dropCountFor(messages, budget) {
+  let total = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    total += estimateTokens(messages[i]);
+    if (total > budget) return Math.min(i + 1, messages.length - 1);
+  }
+  return 0;
+}
+
+function transcript(messages) {
+  return messages.map(m => `${m.role === 'assistant' ? 'Coach' : 'Client'}: ${(m.parts || []).map(p => p.media ? '[attachment]' : p.text || '').join(' ').trim()}`)
+    .join('\n').slice(-SUMMARY_INPUT_CHARS);
+}
+
+function summaryPrompt(previous, turns, lang) {
+  return {
+    system: [
+      'You maintain a running memory of a fitness-coaching conversation.',
+      'Merge the existing summary with the new turns into one concise bullet list (max ~250 words).',
+      'Keep every client fact exactly (age, sex, weight, height, goal, health conditions, injuries, medications, diet preferences, schedule, equipment), decisions and numbers already given, and open questions.',
+      `Write in ${lang === 'ar' ? 'Arabic' : 'English'}. Output only the bullet list.`,
+    ].join('\n'),
+    text: `${previous ? `Existing summary:\n${previous}\n\n` : ''}New turns:\n${transcript(turns)}`,
+  };
+}
+
+// بديل بدون نموذج: أول سطر من كل رسالة للعميل
+function fallbackSummary(previous, turns) {
+  const lines = turns.filter(m => m.role === 'user')
+    .map(m => `- ${(m.parts || []).map(p => p.text || '').join(' ').replace(/\s+/g, ' ').trim().slice(0, 160)}`)
+    .filter(l => l.length > 2);
+  return [previous, ...lines].filter(Boolean).join('\n').slice(-FALLBACK_CHARS);
+}
+
+async function loadSummary(sessionId) {
+  if (!sessionId) return null;
+  try { return await store(STORE).get(summaryKey(sessionId), { type: 'json' }); }
+  catch (e) { console.warn('summary load failed:', e.message); return null; }
+}
+
+async function saveSummary(sessionId, entry) {
+  if (!sessionId) return;
+  try { await store(STORE).setJSON(summaryKey(sessionId), entry); }
+  catch (e) { console.warn('summary save failed:', e.message); }
+}
+
+// الحذف النهائي للجلسة: الملخص فيه حقائق صحية عن العميل. 1 = حُذف، 0 = لا يوجد (الأخطاء تُرمى)
+async function deleteSummary(sessionId) {
+  const s = store(STORE);
+  const key = summaryKey(sessionId);
+  if ((await s.get(key)) === null) return 0;
+  await s.delete(key);
+  return 1;
+}
+
+/**
+ * يرجّع { messages, summary, dropped }.
+ * sessionId = جلسة موثّقة (session-auth) أو null: بدونها لا يُقرأ ملخص مخزّن ولا يُكتب (تلخيص للطلب فقط).
+ * session id غير موقّع يسمح لأي أحد بالكتابة فوق ملخص جلسة غيره، والملخص يعود لـ systemInstruction صاحبها.
+ * summarize(system, text) → Promise<string|null> (استدعاء النموذج؛ null عند الفشل).
+ */
+async function assembleHistory({ sessionId, messages, budget = DEFAULT_BUDGET, lang, summarize }) {
+  if (dropCountFor(messages, budget) === 0) return { messages, summary: undefined, dropped: 0 };
+
+  const saved = await loadSummary(sessionId);
+  const valid = saved && saved.covered < messages.length && saved.fingerprint === fingerprint(messages.slice(0, saved.covered));
+
+  // الملخص المخزّن ما زال كافيًا → لا حاجة لاستدعاء جديد
+  if (valid && dropCountFor(messages.slice(saved.covered), budget) === 0) {
+    return { messages: messages.slice(saved.covered), summary: saved.summary, dropped: saved.covered };
+  }
+
+  const base = valid ? saved.covered : 0;
+  const covered = base + dropCountFor(messages.slice(base), Math.floor(budget * REFILL_RATIO));
+  const previous = valid ? saved.summary : '';
+  const turns = messages.slice(base, covered);
+
+  const { system, text } = summaryPrompt(previous, turns, lang);
+  let summary = null;
+  try { summary = await summarize(system, text); } catch (e) { console.warn('summarize failed:', e.message); }
+  if (!summary || !summary.trim()) summary = fallbackSummary(previous, turns);
+
+  await saveSummary(sessionId, { covered, fingerprint: fingerprint(messages.slice(0, covered)), summary, updated_at: new Date().toISOString() });
+  return { messages: messages.slice(covered), summary, dropped: covered };
+}
+
+module.exports = { DEFAULT_BUDGET, estimateTokens, assembleHistory, deleteSummary };
@@ -0,0 +1,173 @@
+// صور الشات في Supabase Storage (bucket خاص: supabase/migrations/006_chat_images.sql):
+//   <session_id>/<sha256>.<ext>        الأصل بعد التطبيع (_shared/media.js: بدون EXIF/GPS، أطول ضلع ≤ 1600px)
+//   <session_id>/<sha256>.thumb.webp   مصغّرة يولّدها السيرفر (sharp)
+// الرسالة تحفظ مراجع فقط: { hash, mime, bytes, width, height, thumb }؛ العرض بروابط موقّعة قصيرة العمر.
+// المسار = hash المحتوى → نفس الصورة في نفس الجلسة تُرفع مرة واحدة؛ حذف الجلسة = حذف مجلدها.
+// REST مباشرة (بدون supabase-js) حتى تعمل من chat.js (ESM) ومن دوال الأدمن.
+const crypto = require('crypto');
+const { normalizeImage } = require('./media');
+
+const BUCKET = process.env.CHAT_IMAGES_BUCKET || 'chat-images';
+const SIGNED_URL_TTL_S = 10 * 60;
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const THUMB_PX = 320;
+const MIME_EXT = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/heic': 'heic', 'image/heif': 'heif' };
+
+const storageUrl = (p) => `${process.env.SUPABASE_URL}/storage/v1/${p}`;
+const encPath = (p) => p.split('/').map(encodeURIComponent).join('/');
+function authHeaders(extra = {}) {
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return { apikey: key, Authorization: `Bearer ${key}`, ...extra };
+}
+
+const isRef = (x) => !!x && typeof x === 'object' && /^[0-9a-f]{64}$/.test(x.hash || '');
+const pathsOf = (session_id, ref) => ({
+  original: `${session_id}/${ref.hash}.${MIME_EXT[ref.mime] || 'bin'}`,
+  thumb: `${session_id}/${ref.hash}.thumb.webp`,
+});
+
+function parseDataUrl(dataUrl) {
+  const m = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!m || !MIME_EXT[m[1].toLowerCase()]) return null;
+  return { mime: m[1].toLowerCase(), buffer: Buffer.from(m[2], 'base64') };
+}
+
+// null لو الصورة مقبولة، وإلا رمز الخطأ للعميل
+// HEIC/HEIF في MIME_EXT لمسارات المراجع القديمة فقط؛ الرفع الجديد مرفوض (لا يمكن تطبيعها وحذف EXIF منها)
+function validateImage(dataUrl) {
+  const parsed = parseDataUrl(dataUrl);
+  if (!parsed || /^image\/hei[cf]$/.test(parsed.mime)) return 'unsupported_image';
+  if (!parsed.buffer.length || parsed.buffer.length > MAX_IMAGE_BYTES) return 'image_too_large';
+  return null;
+}
+
+/* ---- الرفع ---- */
+// true = رُفع الآن، false = موجود مسبقًا بنفس المحتوى
+async function upload(path, buffer, contentType) {
+  const r = await fetch(storageUrl(`object/${BUCKET}/${encPath(path)}`), {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': contentType, 'x-upsert': 'false' }),
+    body: buffer,
+  });
+  if (r.ok) return true;
+  const text = await r.text();
+  if (r.status === 409 || /Duplicate|already exists/i.test(text)) return false;
+  throw new Error(`storage upload failed (${r.status}): ${text}`);
+}
+
+let sharp = null;
+// أبعاد الصورة (بعد تدوير EXIF) + مصغّرة webp؛ null لو الصيغة لا تُقرأ (الأصل يُعرض بدلها)
+async function thumbnail(buffer) {
+  try {
+    sharp = sharp || require('sharp');
+    const meta = await sharp(buffer, { failOn: 'none' }).metadata();
+    const rotated = (meta.orientation || 1) >= 5;
+    const thumb = await sharp(buffer, { failOn: 'none' })
+      .rotate()
+      .resize(THUMB_PX, THUMB_PX, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+    return { thumb, width: rotated ? meta.height : meta.width, height: rotated ? meta.width : meta.height };
+  } catch (e) {
+    console.warn('thumbnail failed:', e.message);
+    return null;
+  }
+}
+
+// data URL → مرجع مخزّن (يُستدعى بعد validateImage)، أو null لو الصورة لا تُقرأ (لا نخزّن الأصل بـ EXIF)
+// الـ hash على الناتج المطبّع
+async function storeImage(session_id, dataUrl) {
+  const normalized = await normalizeImage(parseDataUrl(dataUrl).buffer);
+  if (!normalized) return null;
+  const { mime, buffer } = normalized;
+  const ref = { hash: crypto.createHash('sha256').update(buffer).digest('hex'), mime, bytes: buffer.length };
+  const paths = pathsOf(session_id, ref);
+  const fresh = await upload(paths.original, buffer, mime);
+  const t = await thumbnail(buffer);
+  if (t) {
+    Object.assign(ref, { width: t.width, height: t.height, thumb: true });
+    if (fresh) await upload(paths.thumb, t.thumb, 'image/webp');
+  }
+  return ref;
+}
+
+/* ---- روابط موقّعة ---- */
+async function signPaths(paths) {
+  if (!paths.length) return {};
+  const r = await fetch(storageUrl(`object/sign/${BUCKET}`), {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ expiresIn: SIGNED_URL_TTL_S, paths }),
+  });
+  if (!r.ok) throw new Error(`storage sign failed (${r.status}): ${await r.text()}`);
+  const out = {};
+  for (const row of await r.json()) {
+    if (row.signedURL && !row.error) out[row.path] = storageUrl(row.signedURL.replace(/^\//, ''));
+  }
+  return out;
+}
+
+/**
+ * يضيف url / thumb_url موقّعة لصور كل رسالة (طلب توقيع واحد للجلسة كلها).
+ * صفوف قديمة فيها data URL نصي تُرجع كما هي كـ { url, thumb_url, legacy: true }.
+ */
+async function withSignedUrls(session_id, messages) {
+  const wanted = new Set();
+  for (const m of messages) {
+    for (const img of m.images || []) {
+      if (!isRef(img)) continue;
+      const p = pathsOf(session_id, img);
+      wanted.add(p.original);
+      if (img.thumb) wanted.add(p.thumb);
+    }
+  }
+  const signed = await signPaths([...wanted]);
+  const expires_at = new Date(Date.now() + SIGNED_URL_TTL_S * 1000).toISOString();
+  return messages.map(m => ({
+    ...m,
+    images: (m.images || []).map(img => {
+      if (typeof img === 'string') return { url: img, thumb_url: img, legacy: true };
+      if (!isRef(img)) return img;
+      const p = pathsOf(session_id, img);
+      const url = signed[p.original] || null;
+      return { ...img, url, thumb_url: (img.thumb && signed[p.thumb]) || url, expires_at };
+    }),
+  }));
+}
+
+// محتوى الصورة أو مصغّرتها (لحزمة التصدير)؛ null لو الملف غير موجود
+async function readImage(session_id, ref, { thumb = false } = {}) {
+  const p = pathsOf(session_id, ref);
+  const r = await fetch(storageUrl(`object/${BUCKET}/${encPath(thumb && ref.thumb ? p.thumb : p.original)}`), { headers: authHeaders() });
+  if (r.status === 400 || r.status === 404) return null;
+  if (!r.ok) throw new Error(`storage read failed (${r.status}): ${await r.text()}`);
+  return Buffer.from(await r.arrayBuffer());
+}
+
+/* ---- الحذف ---- */
+// يحذف كل صور الجلسة (الأصل والمصغّرات)؛ يرجّع عدد الملفات المحذوفة
+async function deleteSessionImages(session_id) {
+  let removed = 0;
+  for (;;) {
+    const r = await fetch(storageUrl(`object/list/${BUCKET}`), {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ prefix: session_id, limit: 1000, offset: 0 }),
+    });
+    if (!r.ok) throw new Error(`storage list failed (${r.status}): ${await r.text()}`);
+    const names = (await r.json()).map(o => `${session_id}/${o.name}`);
+    if (!names.length) return removed;
+
+    const d = await fetch(storageUrl(`object/${BUCKET}`), {
+      method: 'DELETE',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ prefixes: names }),
+    });
+    if (!d.ok) throw new Error(`storage delete failed (${d.status}): ${await d.text()}`);
+    const deleted = (await d.json()).length;
+    if (!deleted) return removed; // لا شيء حُذف فعليًا → لا نكرر للأبد
+    removed += deleted;
+  }
+}
+
+module.exports = { BUCKET, MAX_IMAGE_BYTES, isRef, validateImage, storeImage, withSignedUrls, readImage, deleteSessionImages };
@@ -0,0 +1,40 @@
+// تطبيع الصور قبل إرسالها للنموذج (gemini-proxy.js) أو تخزينها (_shared/images.js):
+// تدوير حسب EXIF، تصغير أطول ضلع إلى MAX_EDGE_PX، وتحويل PNG/GIF/BMP/SVG إلى JPEG
+// (أو WebP لو فيها شفافية). sharp لا ينسخ أي metadata للناتج → لا GPS ولا بيانات الجهاز في صور الجسم.
+// HEIC/HEIF مرفوضة قبل الوصول هنا (sharp الجاهز بدون libheif)؛ ما لا يُقرأ يُرفض ولا يُمرَّر كما هو.
+// العميل يطبّع أيضًا قبل الرفع (index.html)؛ هذا خط الدفاع الثاني للعملاء القدامى والطلبات المباشرة.
+const MAX_EDGE_PX = 1600;
+const QUALITY = 82;
+
+let sharp = null;
+function loadSharp() {
+  try { return sharp || (sharp = require('sharp')); }
+  catch (e) { return null; }
+}
+
+/**
+ * buffer → { buffer, mime, width, height } بعد التطبيع، أو null لو الصورة لا تُقرأ (تالفة / صيغة غير مدعومة).
+ * بدون sharp أيضًا null: لا نخزّن ولا نرسل صورة بـ EXIF الأصلي.
+ */
+async function normalizeImage(buffer) {
+  const lib = loadSharp();
+  if (!lib) {
+    console.warn('sharp unavailable: image rejected (cannot strip metadata)');
+    return null;
+  }
+  try {
+    const meta = await lib(buffer).metadata();
+    const alpha = !!meta.hasAlpha;
+    const pipeline = lib(buffer, { failOn: 'none' })
+      .rotate()
+      .resize(MAX_EDGE_PX, MAX_EDGE_PX, { fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await (alpha ? pipeline.webp({ quality: QUALITY }) : pipeline.jpeg({ quality: QUALITY, mozjpeg: true }))
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, mime: alpha ? 'image/webp' : 'image/jpeg', width: info.width, height: info.height };
+  } catch (e) {
+    console.warn('image normalization failed:', e.message);
+    return null;
+  }
+}
+
+module.exports = { MAX_EDGE_PX, normalizeImage };
@@ -0,0 +1,241 @@
+// الخطط المحفوظة كإصدارات لكل جلسة (جدول plans: supabase/migrations/012_plans.sql):
+// كل رد plan_json / workout_json / meal_json بحالة ready يُحفظ كإصدار جديد (version 1، 2، …).
+// هنا: التحقق والحفظ، صفحة HTML قابلة للطباعة (PDF من المتصفح)، تقويم .ics لأيام التمرين، والمقارنة بين إصدارين.
+const { getClient } = require('./supabase');
+const { getStructuredMode, LABELS } = require('./structured');
+
+const PLAN_MODES = ['plan_json', 'workout_json', 'meal_json'];
+const MAX_VERSIONS = 50;
+
+/* ---- الحفظ ---- */
+// null لو الخطة صالحة لوضعها، وإلا أول أخطاء الـ schema
+function validatePlan(mode, plan) {
+  const structured = PLAN_MODES.includes(mode) ? getStructuredMode(mode) : null;
+  if (!structured) return ['unknown mode'];
+  const checked = structured.parse(JSON.stringify(plan));
+  if (!checked.ok) return checked.errors.slice(0, 10);
+  return plan.status === 'ready' ? null : ['plan is not ready'];
+}
+
+async function listPlans(session_id) {
+  const supabase = await getClient();
+  const { data, error } = await supabase.from('plans')
+    .select('id,version,mode,title,message_client_id,plan,created_at')
+    .eq('session_id', session_id)
+    .order('version', { ascending: false })
+    .limit(MAX_VERSIONS);
+  if (error) throw error;
+  return data;
+}
+
+async function getPlan(session_id, id) {
+  const supabase = await getClient();
+  const { data, error } = await supabase.from('plans')
+    .select('id,version,mode,title,message_client_id,plan,created_at')
+    .eq('session_id', session_id).eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// الإصدار التالي = أكبر إصدار + 1؛ تعارض (حفظ متزامن) → إعادة المحاولة. نفس رسالة الشات مرتين → نفس الإصدار
+async function savePlan(session_id, { mode, plan, message_client_id = null }) {
+  const supabase = await getClient();
+  for (let attempt = 0; attempt < 3; attempt++) {
+    if (message_client_id) {
+      const { data: existing, error } = await supabase.from('plans').select('id,version,mode,title,message_client_id,plan,created_at')
+        .eq('session_id', session_id).eq('message_client_id', message_client_id).maybeSingle();
+      if (error) throw error;
+      if (existing) return { plan: existing, duplicate: true };
+    }
+    const { data: last, error: lastError } = await supabase.from('plans').select('version')
+      .eq('session_id', session_id).order('version', { ascending: false }).limit(1);
+    if (lastError) throw lastError;
+    const row = { session_id, version: (last[0] ? last[0].version : 0) + 1, mode, title: plan.title || null, message_client_id, plan };
+    const { data, error } = await supabase.from('plans').insert(row).select('id,version,mode,title,message_client_id,plan,created_at').single();
+    if (!error) return { plan: data, duplicate: false };
+    if (error.code !== '23505') throw error; // unique_violation → إصدار أخذه طلب آخر
+  }
+  throw new Error('could not allocate plan version');
+}
+
+/* ---- صفحة الطباعة ---- */
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const round = (n) => Math.round((+n || 0) * 10) / 10;
+const table = (head, rows) => `<table><thead><tr>${head.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+function renderPlanHtml(doc, lang = 'ar') {
+  const L = LABELS[lang] || LABELS.ar;
+  const p = doc.plan;
+  const out = [];
+  const w = p.workout;
+  if (w) {
+    out.push(`<h2>${esc(L.workout)}</h2>`);
+    for (const d of w.days) {
+      out.push(`<section class="day"><h3>${esc(d.day)} — ${esc(d.focus)}</h3>`,
+        table([L.exercise, 'Exercise', L.sets, L.rest, 'RPE', ''], d.exercises.map(e => [
+          esc(e.name_ar), esc(e.name_en), `${esc(e.sets)} × ${esc(e.reps)}`, `${esc(e.rest_s)}${esc(L.sec)}`, esc(e.rpe ?? ''), esc(e.notes || ''),
+        ])),
+        d.cardio ? `<p><b>${esc(L.cardio)}:</b> ${esc(d.cardio)}</p>` : '', '</section>');
+    }
+    if (w.progression) out.push(`<p><b>${esc(L.progression)}:</b> ${esc(w.progression)}</p>`);
+  }
+  const n = p.nutrition;
+  if (n) {
+    const t = n.targets;
+    out.push(`<h2>${esc(L.nutrition)}</h2>`,
+      `<p><b>${esc(L.targets)}:</b> ${round(t.calories)} ${esc(L.kcal)} · ${esc(L.protein)} ${round(t.protein_g)}g · ${esc(L.carbs)} ${round(t.carbs_g)}g · ${esc(L.fat)} ${round(t.fat_g)}g${t.method ? ` (${esc(t.method)})` : ''}</p>`);
+    for (const d of n.days) {
+      out.push(`<section class="day"><h3>${esc(d.day)}</h3>`);
+      for (const meal of d.meals) {
+        const sum = (k) => round(meal.items.reduce((a, it) => a + (+it[k] || 0), 0));
+        out.push(`<h4>${esc(meal.name)}${meal.time ? ` (${esc(meal.time)})` : ''}</h4>`,
+          table([L.food, L.grams, L.kcal, L.protein, L.carbs, L.fat], [
+            ...meal.items.map(it => [esc(it.food), round(it.grams), round(it.calories), round(it.protein_g), round(it.carbs_g), round(it.fat_g)]),
+            [`<b>${esc(L.total)}</b>`, '', sum('calories'), sum('protein_g'), sum('carbs_g'), sum('fat_g')],
+          ]),
+          meal.alternatives?.length ? `<p class="meta">${esc(L.alternatives)}: ${esc(meal.alternatives.join('، '))}</p>` : '');
+      }
+      out.push('</section>');
+    }
+  }
+  if (p.supplements?.length) {
+    out.push(`<h2>${esc(L.supplements)}</h2>`, table(['', '', '', ''], p.supplements.map(s => [esc(s.name), esc(s.dose), esc(s.timing || ''), esc(s.notes || '')])));
+  }
+  if (p.notes?.length) out.push(`<h2>${esc(L.notes)}</h2><ul>${p.notes.map(x => `<li>${esc(x)}</li>`).join('')}</ul>`);
+
+  const title = p.title || (lang === 'ar' ? 'خطتي' : 'My plan');
+  const meta = lang === 'ar'
+    ? `الإصدار ${doc.version} · ${new Date(doc.created_at).toLocaleDateString('ar-EG')}`
+    : `Version ${doc.version} · ${new Date(doc.created_at).toLocaleDateString('en-GB')}`;
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${lang === 'ar' ? 'rtl' : 'ltr'}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} — v${doc.version}</title>
+<style>
+body{font-family:system-ui,'Segoe UI',Tahoma,sans-serif;max-width:960px;margin:1.5rem auto;padding:0 1rem;color:#111827;line-height:1.6}
+h1{font-size:1.5rem;margin-bottom:.25rem}h2{font-size:1.2rem;margin-top:1.75rem;border-bottom:2px solid #4ade80;padding-bottom:.2rem}h3{font-size:1rem;margin:1rem 0 .25rem}h4{font-size:.9rem;margin:.75rem 0 .25rem}
+.meta{color:#6b7280;font-size:.85rem}table{width:100%;border-collapse:collapse;font-size:.85rem;margin:.25rem 0 .75rem}th,td{border:1px solid #d1d5db;padding:.3rem .5rem;text-align:start;vertical-align:top}th{background:#f3f4f6}
+.day{break-inside:avoid}.print{position:fixed;top:1rem;inset-inline-end:1rem;padding:.5rem 1rem;border:0;border-radius:.5rem;background:#22c55e;color:#fff;font-weight:700;cursor:pointer}
+@media print{.print{display:none}body{margin:0;max-width:none}h2{break-after:avoid}}
+</style></head><body>
+<button class="print" onclick="window.print()">${lang === 'ar' ? '🖨️ طباعة / PDF' : '🖨️ Print / PDF'}</button>
+<h1>${esc(title)}</h1>
+<p class="meta">${esc(meta)}</p>
+${p.message ? `<p>${esc(p.message)}</p>` : ''}
+${out.join('\n')}
+</body></html>`;
+}
+
+/* ---- تقويم أيام التمرين (.ics) ---- */
+// اسم اليوم داخل "Day 1 - Saturday" / "اليوم 1 - السبت" → رقم يوم الأسبوع (0 = الأحد)
+const WEEKDAYS = [
+  [/sunday|sun\b|الأحد|الاحد/i, 0], [/monday|mon\b|الاثنين|الإثنين|الأثنين/i, 1], [/tuesday|tue\b|الثلاثاء/i, 2],
+  [/wednesday|wed\b|الأربعاء|الاربعاء/i, 3], [/thursday|thu\b|الخميس/i, 4], [/friday|fri\b|الجمعة/i, 5], [/saturday|sat\b|السبت/i, 6],
+];
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const icsText = (s) => String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+// سطر أطول من 75 بايت يُطوى (RFC 5545) بدون قطع حرف UTF-8 في المنتصف
+function fold(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) { out.push(current); current = ''; }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+const ymd = (d) => d.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * حدث أسبوعي متكرر لكل يوم تمرين بوقت محلي (floating time، بدون منطقة زمنية).
+ * الأيام بلا اسم يوم معروف تتوزع على الأسبوع بالترتيب بدءًا من start مع يوم راحة بينها قدر الإمكان.
+ */
+function renderPlanIcs(doc, { start, time = '18:00', weeks = 4, duration_min = 60, lang = 'ar' } = {}) {
+  const days = doc.plan.workout ? doc.plan.workout.days : [];
+  const startDate = new Date(`${start}T00:00:00Z`);
+  const [hh, mm] = time.split(':');
+  const spacing = days.length <= 4 ? 2 : 1; // يوم راحة بين الأيام لو الأسبوع يتسع
+  const used = new Set();
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//HealthAICoach//Plan//AR', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(doc.plan.title || (lang === 'ar' ? 'خطة التمرين' : 'Workout plan'))} v${doc.version}`];
+  days.forEach((d, i) => {
+    const named = WEEKDAYS.find(([re]) => re.test(d.day));
+    let weekday = named ? named[1] : (startDate.getUTCDay() + i * spacing) % 7;
+    while (!named && used.has(weekday)) weekday = (weekday + 1) % 7;
+    used.add(weekday);
+    const first = new Date(startDate);
+    first.setUTCDate(first.getUTCDate() + ((weekday - startDate.getUTCDay() + 7) % 7));
+    const description = d.exercises.map(e => `${lang === 'ar' ? e.name_ar : e.name_en}: ${e.sets} × ${e.reps}`).join('\n') + (d.cardio ? `\n${d.cardio}` : '');
+    lines.push('BEGIN:VEVENT',
+      `UID:plan-${doc.id}-day-${i + 1}@healthaicoach`,
+      `DTSTAMP:${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`,
+      `DTSTART:${ymd(first)}T${hh}${mm}00`,
+      `DURATION:PT${duration_min}M`,
+      `RRULE:FREQ=WEEKLY;COUNT=${weeks};BYDAY=${ICS_DAYS[weekday]}`,
+      `SUMMARY:${icsText(`🏋️ ${d.focus}`)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/* ---- المقارنة بين إصدارين ---- */
+// قائمة تغييرات { section, path, type: added|removed|changed, item, from?, to? }
+// الأيام بالترتيب، التمارين بالاسم الإنجليزي، الأطعمة بالاسم داخل نفس الوجبة
+function diffPlans(a, b) {
+  const changes = [];
+  const add = (section, path, type, item, from, to) => changes.push({ section, path, type, item, ...(from !== undefined ? { from } : {}), ...(to !== undefined ? { to } : {}) });
+  const byKey = (list, key) => new Map((list || []).map(x => [key(x), x]));
+  const compareLists = (section, path, listA, listB, key, label, show) => {
+    const ma = byKey(listA, key), mb = byKey(listB, key);
+    for (const [k, x] of ma) if (!mb.has(k)) add(section, path, 'removed', label(x), show(x));
+    for (const [k, y] of mb) {
+      if (!ma.has(k)) { add(section, path, 'added', label(y), undefined, show(y)); continue; }
+      const from = show(ma.get(k)), to = show(y);
+      if (from !== to) add(section, path, 'changed', label(y), from, to);
+    }
+  };
+
+  const wa = a.workout, wb = b.workout;
+  if (wa || wb) {
+    const daysA = wa ? wa.days : [], daysB = wb ? wb.days : [];
+    for (let i = 0; i < Math.max(daysA.length, daysB.length); i++) {
+      const da = daysA[i], db = daysB[i];
+      const path = (db || da).day;
+      if (!da) { add('workout', path, 'added', db.focus); continue; }
+      if (!db) { add('workout', path, 'removed', da.focus); continue; }
+      if (da.focus !== db.focus) add('workout', path, 'changed', 'focus', da.focus, db.focus);
+      compareLists('workout', path, da.exercises, db.exercises, e => String(e.name_en).trim().toLowerCase(), e => `${e.name_ar} / ${e.name_en}`,
+        e => `${e.sets} × ${e.reps}${e.rpe ? ` @RPE ${e.rpe}` : ''}, ${e.rest_s}s`);
+      if ((da.cardio || '') !== (db.cardio || '')) add('workout', path, 'changed', 'cardio', da.cardio || '', db.cardio || '');
+    }
+  }
+
+  const na = a.nutrition, nb = b.nutrition;
+  if (na || nb) {
+    for (const k of ['calories', 'protein_g', 'carbs_g', 'fat_g']) {
+      const from = na ? round(na.targets[k]) : null, to = nb ? round(nb.targets[k]) : null;
+      if (from !== to) add('nutrition', 'targets', 'changed', k, from, to);
+    }
+    const daysA = na ? na.days : [], daysB = nb ? nb.days : [];
+    for (let i = 0; i < Math.max(daysA.length, daysB.length); i++) {
+      const da = daysA[i], db = daysB[i];
+      const path = (db || da).day;
+      if (!da || !db) { add('nutrition', path, da ? 'removed' : 'added', path); continue; }
+      const mealsA = byKey(da.meals, m => m.name), mealsB = byKey(db.meals, m => m.name);
+      for (const [name] of mealsA) if (!mealsB.has(name)) add('nutrition', path, 'removed', name);
+      for (const [name, meal] of mealsB) {
+        if (!mealsA.has(name)) { add('nutrition', path, 'added', name); continue; }
+        compareLists('nutrition', `${path} · ${name}`, mealsA.get(name).items, meal.items, it => String(it.food).trim().toLowerCase(), it => it.food,
+          it => `${round(it.grams)}g, ${round(it.calories)} kcal`);
+      }
+    }
+  }
+
+  compareLists('supplements', '', a.supplements, b.supplements, s => String(s.name).trim().toLowerCase(), s => s.name, s => [s.dose, s.timing].filter(Boolean).join(' — '));
+  return changes;
+}
+
+module.exports = { PLAN_MODES, validatePlan, listPlans, getPlan, savePlan, renderPlanHtml, renderPlanIcs, diffPlans };
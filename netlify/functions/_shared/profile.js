@@ -0,0 +1,286 @@
+// الملف الشخصي المنظّم للعميل (جدول profiles: supabase/migrations/010_profiles.sql).
+// كل حقل: { value, source, quote, message_id, updated_at, confirmed_at }
+//   source = chat (استخراج من رسالة العميل) | form (شاشة البيانات الأولى) | admin (تعديل من لوحة التحكم)
+//          | report (قيم InBody / التحاليل من mode: report_extract بعد تأكيد العميل؛ /api/profile)
+//   confirmed_at يتحدّث كلما ذكر العميل نفس القيمة مرة أخرى؛ updated_at فقط عند تغيّرها.
+// الاستخراج: chat.js → profile-extract-background (بعد كل رسالة عميل) → نموذج بإخراج JSON منظّم.
+const crypto = require('crypto');
+const { getClient } = require('./supabase');
+const { getAdapter, resolveCandidates } = require('./providers');
+const { validate, LABELS, REPORT_METRICS, REPORT_FLAGS, referenceText } = require('./structured');
+const { startTelemetry, finishTelemetry } = require('./telemetry');
+const { checkSessionBudget, recordUsage } = require('./quota');
+
+const EXTRACT_MODEL = process.env.PROFILE_EXTRACT_MODEL || 'gemini-2.0-flash'; // نموذج سريع؛ الباقي fallback من الـ pool
+const EXTRACT_TIMEOUT_MS = 20000;
+const MAX_QUOTE_CHARS = 200;
+const MAX_ITEM_CHARS = 120;
+
+const str = () => ({ type: 'string' });
+const num = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const int = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const oneOf = (values) => ({ type: 'string', enum: values });
+const list = () => ({ type: 'array', items: { type: 'string' } });
+// قراءة من تقرير: القيمة بوحدتها كما طُبعت + المدى المرجعي وتاريخ التقرير
+const reading = () => ({
+  type: 'object',
+  properties: {
+    value: { type: 'number' }, unit: str(), ref_low: { type: 'number' }, ref_high: { type: 'number' }, ref_text: str(),
+    flag: oneOf(REPORT_FLAGS), report_date: str(), confidence: num(0, 1),
+  },
+  required: ['value', 'unit'],
+});
+const READING_KEYS = Object.keys(reading().properties);
+
+const FIELDS = {
+  name:                 { schema: str(), ar: 'الاسم', en: 'Name' },
+  age:                  { schema: int(10, 100), ar: 'العمر', en: 'Age' },
+  country:              { schema: str(), ar: 'الدولة', en: 'Country' },
+  sex:                  { schema: oneOf(['male', 'female']), ar: 'الجنس', en: 'Sex' },
+  weight_kg:            { schema: num(25, 350), ar: 'الوزن (كجم)', en: 'Weight (kg)' },
+  height_cm:            { schema: num(100, 250), ar: 'الطول (سم)', en: 'Height (cm)' },
+  goal:                 { schema: oneOf(['fat_loss', 'muscle_gain', 'recomposition', 'strength', 'endurance', 'health', 'maintenance']), ar: 'الهدف', en: 'Goal' },
+  timeline_weeks:       { schema: int(1, 260), ar: 'المدة (أسابيع)', en: 'Timeline (weeks)' },
+  training_environment: { schema: oneOf(['gym', 'home', 'outdoor', 'mixed']), ar: 'مكان التمرين', en: 'Training environment' },
+  injuries:             { schema: list(), ar: 'إصابات', en: 'Injuries' },
+  medications:          { schema: list(), ar: 'أدوية', en: 'Medications' },
+  diet_restrictions:    { schema: list(), ar: 'قيود غذائية', en: 'Diet restrictions' },
+  budget:               { schema: oneOf(['low', 'medium', 'high']), ar: 'الميزانية', en: 'Budget' },
+  sleep_hours:          { schema: num(0, 16), ar: 'النوم (ساعات)', en: 'Sleep (hours)' },
+  // الوزن من التقرير يدخل weight_kg؛ الباقي حقول قراءات (report: true) لا يلمسها الاستخراج من المحادثة
+  ...Object.fromEntries(Object.entries(REPORT_METRICS).filter(([k]) => k !== 'weight')
+    .map(([k, m]) => [k, { schema: reading(), ar: m.ar, en: m.en, report: true }])),
+};
+const FORM_FIELDS = ['name', 'age', 'country'];
+const SOURCES = ['chat', 'form', 'admin', 'report'];
+const CHAT_FIELDS = Object.keys(FIELDS).filter(k => !FIELDS[k].report);
+
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    updates: { type: 'object', properties: Object.fromEntries(CHAT_FIELDS.map(k => [k, FIELDS[k].schema])) },
+    quotes: { type: 'object', properties: Object.fromEntries(CHAT_FIELDS.map(k => [k, str()])) },
+  },
+  required: ['updates'],
+};
+
+/* ---- تحقق ودمج ---- */
+// قيمة مطابقة لنوع الحقل (نص منظّف / رقم / قائمة) أو undefined لو غير صالحة
+function cleanValue(key, value) {
+  const f = FIELDS[key];
+  if (!f) return undefined;
+  let v = value;
+  if (typeof v === 'string') v = v.trim();
+  if ((f.schema.type === 'number' || f.schema.type === 'integer') && typeof v === 'string' && /^\d+(?:[.,]\d+)?$/.test(v)) v = Number(v.replace(',', '.'));
+  if (f.schema.type === 'integer' && typeof v === 'number') v = Math.round(v);
+  if (f.schema.type === 'array') {
+    if (typeof v === 'string') v = v.split(/[,،\n]/);
+    if (!Array.isArray(v)) return undefined;
+    v = [...new Set(v.map(x => String(x).trim().slice(0, MAX_ITEM_CHARS)).filter(Boolean))];
+  }
+  if (f.schema.type === 'string' && !f.schema.enum) v = typeof v === 'string' ? v.slice(0, MAX_ITEM_CHARS) : v;
+  if (v === '' || validate(f.schema, v, key).length) return undefined;
+  return v;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// قراءة تقرير كنص: "5.9 % (4–5.6، ⬆️ مرتفع، 2026-09-01)"
+function readingText(r) {
+  const extra = [referenceText(r), LABELS.ar.flags[r.flag], r.report_date].filter(Boolean).join('، ');
+  return `${r.value} ${r.unit}${extra ? ` (${extra})` : ''}`;
+}
+// قيمة الحقل كنص للعرض والتصدير (قائمة / قراءة تقرير / قيمة مفردة)
+const fieldText = (value) => Array.isArray(value) ? value.join('، ') : value && typeof value === 'object' ? readingText(value) : String(value ?? '');
+
+/**
+ * مقاييس report_extract التي أكّدها العميل → { updates, quotes } لـ applyUpdates (source = report).
+ * الوزن بالرطل يُحوّل لكجم؛ other والمفاتيح غير المعروفة تُتجاهل؛ quote = اسم الفحص كما طُبع.
+ */
+function reportUpdates(metrics, report_date) {
+  const updates = {};
+  const quotes = {};
+  for (const m of Array.isArray(metrics) ? metrics : []) {
+    if (!m || typeof m !== 'object' || !REPORT_METRICS[m.key] || typeof m.value !== 'number') continue;
+    const key = m.key === 'weight' ? 'weight_kg' : m.key;
+    if (typeof m.label === 'string') quotes[key] = m.label;
+    if (key === 'weight_kg') {
+      const unit = String(m.unit || '').trim().toLowerCase();
+      const kg = /^(kg|kgs|كجم|كغ)$/.test(unit) ? m.value : /^lbs?$/.test(unit) ? Math.round(m.value * 0.45359237 * 10) / 10 : null;
+      if (kg !== null) updates.weight_kg = kg;
+      continue;
+    }
+    const value = Object.fromEntries(READING_KEYS.filter(k => m[k] !== undefined && m[k] !== null && m[k] !== '').map(k => [k, m[k]]));
+    if (typeof report_date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(report_date)) value.report_date = report_date;
+    updates[m.key] = value;
+  }
+  return { updates, quotes };
+}
+
+/**
+ * يدمج تحديثات في حقول الملف. null من الأدمن يحذف الحقل؛ القيم غير الصالحة تُتجاهل.
+ * { fields, changed: [keys], confirmed: [keys] }
+ */
+function applyUpdates(fields, updates, { source, message_id = null, quotes = {}, at = new Date().toISOString() }) {
+  const out = { ...fields };
+  const changed = [];
+  const confirmed = [];
+  for (const [key, raw] of Object.entries(updates || {})) {
+    if (!FIELDS[key]) continue;
+    if (raw === null || raw === '') {
+      if (source === 'admin' && out[key]) { delete out[key]; changed.push(key); }
+      continue;
+    }
+    const value = cleanValue(key, raw);
+    if (value === undefined) continue;
+    const prev = out[key];
+    if (prev && sameValue(prev.value, value)) {
+      out[key] = { ...prev, confirmed_at: at };
+      confirmed.push(key);
+      continue;
+    }
+    const quote = typeof quotes[key] === 'string' ? quotes[key].slice(0, MAX_QUOTE_CHARS) : null;
+    out[key] = { value, source, quote, message_id, updated_at: at, confirmed_at: at };
+    changed.push(key);
+  }
+  return { fields: out, changed, confirmed };
+}
+
+// { key: value } فقط (للسياق وللعرض المختصر)
+const profileValues = (fields) => Object.fromEntries(Object.entries(fields || {}).map(([k, f]) => [k, f.value]));
+
+/* ---- التخزين ---- */
+async function getProfile(session_id) {
+  const supabase = await getClient();
+  const { data, error } = await supabase.from('profiles').select('fields,updated_at,updated_by').eq('session_id', session_id).maybeSingle();
+  if (error) throw error;
+  return data || { fields: {}, updated_at: null, updated_by: null };
+}
+
+async function saveProfile(session_id, fields, updated_by) {
+  const supabase = await getClient();
+  const row = { session_id, fields, updated_at: new Date().toISOString(), updated_by };
+  const { error } = await supabase.from('profiles').upsert(row, { onConflict: 'session_id' });
+  if (error) throw error;
+  return row;
+}
+
+// قراءة + دمج + حفظ (لا كتابة لو لا جديد)
+async function updateProfile(session_id, updates, meta, updated_by) {
+  const current = await getProfile(session_id);
+  const result = applyUpdates(current.fields || {}, updates, meta);
+  if (result.changed.length || result.confirmed.length) await saveProfile(session_id, result.fields, updated_by);
+  return result;
+}
+
+/* ---- الاستخراج من رسائل العميل ---- */
+function extractionPrompt(current) {
+  return [
+    'You extract facts about a fitness coaching client from their LATEST chat message.',
+    'Return ONLY a JSON object matching the schema. No markdown, no extra text.',
+    'Put in "updates" only fields the client states or clearly confirms in the latest message. The coach\'s previous message is context for short answers (e.g. "yes", "80").',
+    'Never guess from vague hints; omit anything not stated. Convert units: weight in kg, height in cm, timeline in weeks, sleep in hours per night.',
+    'For injuries, medications and diet_restrictions give the complete current list (keep earlier items unless the client says they are gone); use [] only when the client says they have none.',
+    'Write list items briefly in the client\'s language. For every field in "updates", copy the client\'s exact words into "quotes" under the same key.',
+    `Current profile: ${JSON.stringify(profileValues(Object.fromEntries(Object.entries(current).filter(([k]) => !FIELDS[k]?.report))))}`,
+  ].join('\n');
+}
+
+// أول مرشّح يرد بنص؛ محاولة واحدة لكل نموذج (الاستخراج يعمل في الخلفية ولا يؤخر الرد)
+async function callModel(request, tel) {
+  const candidates = resolveCandidates({ model: EXTRACT_MODEL });
+  for (const target of candidates) {
+    const adapter = getAdapter(target.provider);
+    const { url, headers, body } = adapter.buildRequest(target.model, request, { stream: false });
+    tel.models_tried.push(`${target.provider}:${target.model}`);
+    try {
+      const r = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(EXTRACT_TIMEOUT_MS) });
+      if (!r.ok) { console.warn(`profile extraction ${target.provider}:${target.model} failed (${r.status})`); continue; }
+      const { text, usage } = adapter.parseResponse(await r.json());
+      Object.assign(tel, { provider: target.provider, model: target.model, usage });
+      if (text) return text;
+    } catch (e) {
+      console.warn(`profile extraction ${target.provider}:${target.model} failed:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * يقرأ رسالة عميل (مع رسالة المدرب السابقة كسياق) ويحدّث الملف.
+ * { changed, confirmed } أو { skipped: سبب }
+ */
+async function extractFromMessage(session_id, message_id) {
+  const supabase = await getClient();
+  const { data: message, error } = await supabase.from('messages').select('id,role,text,ts')
+    .eq('session_id', session_id).eq('id', message_id).maybeSingle();
+  if (error) throw error;
+  if (!message || message.role !== 'user') return { skipped: 'not_a_client_message' };
+  if (!/[\p{L}\p{N}]{2}/u.test(message.text || '')) return { skipped: 'no_text' };
+
+  const { data: before, error: beforeError } = await supabase.from('messages').select('text')
+    .eq('session_id', session_id).neq('role', 'user').lt('ts', message.ts)
+    .order('ts', { ascending: false }).limit(1);
+  if (beforeError) throw beforeError;
+  const current = await getProfile(session_id);
+  // استدعاء النموذج يُحسب على ميزانية الجلسة مثل الشات: جلسة محظورة أو استنفدت توكنز اليوم لا تُستخرج
+  const quota = await checkSessionBudget(session_id);
+  if (!quota.ok) return { skipped: quota.reason };
+
+  const tel = startTelemetry();
+  Object.assign(tel, { session_id, mode: 'profile_extract' });
+  const text = await callModel({
+    system: extractionPrompt(current.fields || {}),
+    messages: [{
+      role: 'user',
+      parts: [{ text: `${before && before[0] ? `Coach (previous message):\n${before[0].text.slice(-1500)}\n\n` : ''}Client (latest message):\n${message.text.slice(0, 4000)}` }],
+    }],
+    generation: { temperature: 0, topP: 0.8, maxOutputTokens: 800 },
+    safety: 'strict',
+    responseSchema: EXTRACTION_SCHEMA,
+  }, tel);
+  if (tel.usage) await recordUsage(quota.ctx, tel.usage);
+
+  let parsed = null;
+  try { parsed = JSON.parse(String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '')); } catch { parsed = null; }
+  const schemaErrors = parsed ? validate({ type: 'object', properties: {}, required: ['updates'] }, parsed, '$') : ['no output'];
+  await finishTelemetry(tel, text === null ? 502 : schemaErrors.length ? 422 : 200);
+  if (schemaErrors.length) return { skipped: 'invalid_output' };
+
+  const result = applyUpdates(current.fields || {}, parsed.updates, { source: 'chat', message_id: message.id, quotes: parsed.quotes || {} });
+  if (result.changed.length || result.confirmed.length) await saveProfile(session_id, result.fields, 'extractor');
+  return { changed: result.changed, confirmed: result.confirmed };
+}
+
+/* ---- تشغيل الاستخراج في الخلفية ---- */
+// توقيع داخلي بمفتاح الخدمة: الدالة الخلفية لا تُستدعى من خارج السيرفر (كل استدعاء = طلب للنموذج)
+const internalSignature = (session_id, message_id) => crypto
+  .createHmac('sha256', process.env.SUPABASE_SERVICE_ROLE_KEY || '')
+  .update(`profile-extract\n${session_id}\n${message_id}`)
+  .digest('hex');
+
+function verifyInternalSignature(session_id, message_id, signature) {
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY || !/^[0-9a-f]{64}$/.test(signature || '')) return false;
+  return crypto.timingSafeEqual(Buffer.from(internalSignature(session_id, message_id), 'hex'), Buffer.from(signature, 'hex'));
+}
+
+// الدالة الخلفية ترد 202 فورًا؛ أي فشل هنا لا يؤثر على حفظ الرسالة
+async function requestExtraction(session_id, message_id) {
+  if (!process.env.URL || !message_id) return;
+  try {
+    await fetch(`${process.env.URL}/.netlify/functions/profile-extract-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Internal-Signature': internalSignature(session_id, message_id) },
+      body: JSON.stringify({ session_id, message_id }),
+      signal: AbortSignal.timeout(3000),
+    });
+  } catch (e) {
+    console.warn('profile extraction trigger failed:', e.message);
+  }
+}
+
+module.exports = {
+  FIELDS, FORM_FIELDS, SOURCES,
+  applyUpdates, profileValues, fieldText, reportUpdates, getProfile, saveProfile, updateProfile,
+  extractFromMessage, requestExtraction, verifyInternalSignature,
+};
@@ -0,0 +1,101 @@
+// متابعة التقدّم (جدول progress_entries: supabase/migrations/011_progress.sql):
+// قراءات مؤرخة (وزن، قياسات، نسبة دهون، الالتزام) + صور تقدّم بنفس تخزين صور الشات (_shared/images.js).
+// computeTrend يلخّص القراءات أرقامًا فقط؛ المراجعة الأسبوعية تُرسل هذه الأرقام لـ gemini-proxy (checkin_json) بدل المحادثة.
+const { getClient } = require('./supabase');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATE_WINDOW_DAYS = 28; // معدل التغيّر الأسبوعي من آخر 4 أسابيع
+const MAX_ENTRIES = 1000;
+
+// الوحدات ثابتة على السيرفر؛ العميل يحوّل قبل الإرسال
+const KINDS = {
+  weight:    { unit: 'kg', min: 25, max: 350 },
+  waist:     { unit: 'cm', min: 30, max: 250 },
+  hip:       { unit: 'cm', min: 30, max: 250 },
+  arm:       { unit: 'cm', min: 10, max: 100 },
+  body_fat:  { unit: '%', min: 2, max: 70 },
+  adherence: { unit: '/10', min: 0, max: 10 },
+  photo:     { unit: null },
+};
+const NUMERIC_KINDS = Object.keys(KINDS).filter(k => KINDS[k].unit);
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+// null لو القراءة مقبولة، وإلا رمز الخطأ للعميل (الصورة تُفحص بـ validateImage)
+function validateEntry(e) {
+  if (!e || typeof e !== 'object') return 'invalid_entry';
+  const spec = KINDS[e.kind];
+  if (!spec) return 'invalid_kind';
+  if (typeof e.date !== 'string' || !DATE.test(e.date) || isNaN(Date.parse(e.date))) return 'invalid_date';
+  // لا تواريخ مستقبلية (يوم سماح لفروق المناطق الزمنية)
+  if (Date.parse(e.date) > Date.now() + DAY_MS) return 'invalid_date';
+  if (e.note !== undefined && e.note !== null && (typeof e.note !== 'string' || e.note.length > 500)) return 'invalid_note';
+  if (e.kind === 'photo') return typeof e.image === 'string' ? null : 'image_required';
+  if (typeof e.value !== 'number' || !Number.isFinite(e.value) || e.value < spec.min || e.value > spec.max) return 'invalid_value';
+  return null;
+}
+
+// انحدار خطي بسيط: التغيّر لكل يوم
+function slopePerDay(points) {
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.day, 0) / n;
+  const my = points.reduce((a, p) => a + p.value, 0) / n;
+  const den = points.reduce((a, p) => a + (p.day - mx) ** 2, 0);
+  return den ? points.reduce((a, p) => a + (p.day - mx) * (p.value - my), 0) / den : 0;
+}
+
+/**
+ * ملخص رقمي لكل نوع: عدد الأيام، أول/آخر قراءة، التغيّر الكلي، متوسط آخر 7 أيام، ومعدل التغيّر الأسبوعي.
+ * عدة قراءات في نفس اليوم → متوسطها. weekly_rate = null لو أقل من قراءتين في آخر 28 يومًا.
+ */
+function computeTrend(entries, today = new Date()) {
+  const todayDay = Math.floor(Date.parse(today.toISOString().slice(0, 10)) / DAY_MS);
+  const trend = {};
+  for (const kind of NUMERIC_KINDS) {
+    const byDate = new Map();
+    for (const e of entries) {
+      if (e.kind !== kind || e.value === null || e.value === undefined) continue;
+      const list = byDate.get(e.date) || [];
+      list.push(Number(e.value));
+      byDate.set(e.date, list);
+    }
+    if (!byDate.size) continue;
+    const points = [...byDate.entries()]
+      .map(([date, values]) => ({ date, day: Date.parse(date) / DAY_MS, value: values.reduce((a, v) => a + v, 0) / values.length }))
+      .sort((a, b) => a.day - b.day);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const recent = points.filter(p => p.day > last.day - RATE_WINDOW_DAYS);
+    const week = points.filter(p => p.day > todayDay - 7);
+    trend[kind] = {
+      unit: KINDS[kind].unit,
+      days: points.length,
+      first: { date: first.date, value: round(first.value) },
+      last: { date: last.date, value: round(last.value) },
+      change: round(last.value - first.value),
+      avg_7d: week.length ? round(week.reduce((a, p) => a + p.value, 0) / week.length) : null,
+      weekly_rate: recent.length >= 2 ? round(slopePerDay(recent) * 7) : null,
+      days_since_last: todayDay - last.day,
+      series: points.map(p => [p.date, round(p.value)]),
+    };
+  }
+  const photos = entries.filter(e => e.kind === 'photo').map(e => e.date).sort();
+  if (photos.length) trend.photo = { count: photos.length, last_date: photos[photos.length - 1] };
+  return trend;
+}
+
+async function listEntries(session_id) {
+  const supabase = await getClient();
+  const { data, error } = await supabase.from('progress_entries')
+    .select('id,client_id,date,kind,value,images,note,created_at')
+    .eq('session_id', session_id)
+    .order('date', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(MAX_ENTRIES);
+  if (error) throw error;
+  // الأحدث أولًا للحد، ثم بالترتيب الزمني؛ numeric قد يرجع نصًا حسب إعداد PostgREST
+  return data.reverse().map(e => ({ ...e, value: e.value === null ? null : Number(e.value) }));
+}
+
+module.exports = { KINDS, NUMERIC_KINDS, validateEntry, computeTrend, listEntries };
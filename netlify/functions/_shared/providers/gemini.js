@@ -0,0 +1,91 @@
+// Google Gemini (generativelanguage.googleapis.com) adapter.
+// يحوّل الصيغة الموحّدة (system + messages + generation + safety) إلى contents/inline_data والعكس.
+
+const BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+
+// --- Pro-first pool لرفع الدقة ---
+const MODEL_POOL = [
+  "gemini-1.5-pro",
+  "gemini-1.5-pro-latest",
+  "gemini-2.0-flash",
+  "gemini-1.5-flash",
+  "gemini-2.0-flash-exp",
+];
+
+function isConfigured() { return !!process.env.GEMINI_API_KEY; }
+function defaultModels() { return [...MODEL_POOL]; }
+// الصوت يُرسل inline_data كما هو (webm/ogg/mp4 من MediaRecorder مقبولة)
+function acceptsAudio() { return true; }
+
+function buildRequest(model, req, { stream = false } = {}) {
+  const method = stream ? "streamGenerateContent" : "generateContent";
+  const url = `${BASE_URL}/${encodeURIComponent(model)}:${method}?${stream ? "alt=sse&" : ""}key=${process.env.GEMINI_API_KEY}`;
+  const body = {
+    contents: req.messages.map(m => ({ role: m.role === "assistant" ? "model" : "user", parts: m.parts.map(toPart) })),
+    generationConfig: req.responseSchema
+      ? { ...req.generation, responseMimeType: "application/json", responseSchema: toGeminiSchema(req.responseSchema) }
+      : req.generation,
+    safetySettings: buildSafety(req.safety),
+    ...(req.system ? { systemInstruction: { role: "system", parts: [{ text: req.system }] } } : {})
+  };
+  return { url, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+function toPart(p) {
+  return p.media ? { inline_data: { mime_type: p.media.mime, data: p.media.data } } : { text: p.text };
+}
+
+// Gemini يقبل OpenAPI subset فقط: أنواع بحروف كبيرة وبدون minimum/maximum (التحقق الكامل على السيرفر)
+function toGeminiSchema(schema) {
+  const out = { type: schema.type.toUpperCase() };
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    if (schema.required?.length) out.required = schema.required;
+  }
+  return out;
+}
+
+function buildSafety(level = "strict") {
+  const cat = (name) => ({ category: name, threshold: level === "relaxed" ? "BLOCK_NONE" : "BLOCK_ONLY_HIGH" });
+  return [
+    cat("HARM_CATEGORY_HARASSMENT"),
+    cat("HARM_CATEGORY_HATE_SPEECH"),
+    cat("HARM_CATEGORY_SEXUALLY_EXPLICIT"),
+    cat("HARM_CATEGORY_DANGEROUS_CONTENT"),
+  ];
+}
+
+function mapUsage(meta) {
+  return meta ? {
+    promptTokenCount: meta.promptTokenCount,
+    candidatesTokenCount: meta.candidatesTokenCount,
+    totalTokenCount: meta.totalTokenCount
+  } : undefined;
+}
+
+function parseResponse(data) {
+  const cand = data?.candidates?.[0];
+  return {
+    text: (cand?.content?.parts || []).map(p => p?.text || "").join("\n").trim(),
+    usage: mapUsage(data?.usageMetadata),
+    finishReason: cand?.finishReason,
+    safety: data?.promptFeedback || cand?.safetyRatings
+  };
+}
+
+// سطر من بث alt=sse: "data: {...}"
+function parseStreamLine(line) {
+  if (!line.startsWith("data:")) return null;
+  let data; try { data = JSON.parse(line.slice(5).trim()); } catch { return null; }
+  const cand = data?.candidates?.[0];
+  return {
+    text: (cand?.content?.parts || []).map(p => p?.text || "").join(""),
+    usage: mapUsage(data?.usageMetadata),
+    finishReason: cand?.finishReason
+  };
+}
+
+module.exports = { name: "gemini", isConfigured, defaultModels, acceptsAudio, buildRequest, parseResponse, parseStreamLine };
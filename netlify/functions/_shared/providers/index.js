@@ -0,0 +1,46 @@
+// طبقة المزوّدين: كل adapter يترجم الصيغة الموحّدة لطلب/رد المزوّد.
+//
+// الصيغة الموحّدة للطلب:
+//   { system?, messages: [{ role: "user"|"assistant", parts: [{ text } | { media: { mime, data } }] }],
+//     generation: { temperature, topP, maxOutputTokens }, safety: "strict"|"relaxed" }
+// safety: Gemini → safetySettings؛ المزوّدون بلا إعداد أصلي → سطر مكافئ في system (./safety.js)
+// والرد: { text, usage: { promptTokenCount, candidatesTokenCount, totalTokenCount }, finishReason, safety }
+// acceptsAudio(mime): هل يفهم المزوّد هذا الصوت (وضع transcribe يتخطّى من لا يفهمه)
+//
+// LLM_POOL (اختياري) يحدد ترتيب الـ fallback عبر المزوّدين، مثال:
+//   LLM_POOL="gemini:gemini-1.5-pro,openai:gpt-4o-mini,ollama:llama3.1"
+
+const gemini = require("./gemini");
+const openai = require("./openai");
+const ollama = require("./ollama");
+
+const ADAPTERS = { gemini, openai, ollama };
+
+function getAdapter(name) { return ADAPTERS[name]; }
+
+// "openai:gpt-4o" → { provider, model }؛ الاسم بدون بادئة يُعتبر Gemini (توافق مع الطلبات القديمة)
+function parseTarget(spec) {
+  const s = String(spec || "").trim();
+  const i = s.indexOf(":");
+  if (i > 0 && ADAPTERS[s.slice(0, i)]) return { provider: s.slice(0, i), model: s.slice(i + 1) };
+  return { provider: "gemini", model: s };
+}
+
+function defaultPool() {
+  if (process.env.LLM_POOL) return process.env.LLM_POOL.split(",").map(parseTarget).filter(t => t.model);
+  return Object.values(ADAPTERS).flatMap(a => a.defaultModels().map(model => ({ provider: a.name, model })));
+}
+
+function resolveCandidates({ model, provider } = {}) {
+  const pool = defaultPool();
+  const list = (!model || model === "auto") ? pool : [parseTarget(model), ...pool];
+  const seen = new Set();
+  return list.filter(t => {
+    const key = `${t.provider}:${t.model}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return (!provider || t.provider === provider) && ADAPTERS[t.provider]?.isConfigured();
+  });
+}
+
+module.exports = { getAdapter, parseTarget, resolveCandidates };
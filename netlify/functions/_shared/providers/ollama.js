@@ -0,0 +1,52 @@
+// Ollama adapter (/api/chat) لتجربة النماذج المحلية بدون اتصال بمزوّد خارجي.
+// البث هنا NDJSON (كائن JSON في كل سطر) وليس SSE.
+
+const { systemWithSafety } = require("./safety");
+
+function baseUrl() { return (process.env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/+$/, ""); }
+function isConfigured() { return !!(process.env.OLLAMA_BASE_URL || process.env.OLLAMA_MODEL); }
+function defaultModels() { return process.env.OLLAMA_MODEL ? [process.env.OLLAMA_MODEL] : []; }
+function acceptsAudio() { return false; } // /api/chat يقبل صورًا فقط
+
+function buildRequest(model, req, { stream = false } = {}) {
+  const messages = [];
+  const system = systemWithSafety(req); // لا safety settings في الـ API → سطر مكافئ في system
+  if (system) messages.push({ role: "system", content: system });
+  for (const m of req.messages) {
+    const images = m.parts.filter(p => p.media && p.media.mime.startsWith("image/")).map(p => p.media.data);
+    messages.push({
+      role: m.role,
+      content: m.parts.filter(p => !p.media).map(p => p.text).join("\n"),
+      ...(images.length ? { images } : {})
+    });
+  }
+  const body = {
+    model,
+    messages,
+    stream,
+    ...(req.responseSchema ? { format: req.responseSchema } : {}),
+    options: { temperature: req.generation.temperature, top_p: req.generation.topP, num_predict: req.generation.maxOutputTokens }
+  };
+  return { url: `${baseUrl()}/api/chat`, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+function mapUsage(data) {
+  if (!data || data.eval_count === undefined) return undefined;
+  const prompt = data.prompt_eval_count || 0;
+  return { promptTokenCount: prompt, candidatesTokenCount: data.eval_count, totalTokenCount: prompt + data.eval_count };
+}
+
+function parseResponse(data) {
+  return { text: (data?.message?.content || "").trim(), usage: mapUsage(data), finishReason: data?.done_reason };
+}
+
+function parseStreamLine(line) {
+  let data; try { data = JSON.parse(line); } catch { return null; }
+  return {
+    text: data?.message?.content || "",
+    usage: data?.done ? mapUsage(data) : undefined,
+    finishReason: data?.done ? (data.done_reason || "stop") : undefined
+  };
+}
+
+module.exports = { name: "ollama", isConfigured, defaultModels, acceptsAudio, buildRequest, parseResponse, parseStreamLine };
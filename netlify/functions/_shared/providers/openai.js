@@ -0,0 +1,70 @@
+// OpenAI-compatible adapter (/v1/chat/completions): OpenAI، llama.cpp server، vLLM، LM Studio...
+// OPENAI_BASE_URL يوجّهه لخادم محلي، والمفتاح اختياري في هذه الحالة.
+
+const { systemWithSafety } = require("./safety");
+
+const AUDIO_FORMATS = { "audio/wav": "wav", "audio/mp3": "mp3", "audio/mpeg": "mp3" };
+
+function baseUrl() { return (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, ""); }
+function isConfigured() { return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL); }
+function defaultModels() { return process.env.OPENAI_MODEL ? [process.env.OPENAI_MODEL] : []; }
+function acceptsAudio(mime) { return !!AUDIO_FORMATS[mime]; }
+
+function buildRequest(model, req, { stream = false } = {}) {
+  const messages = [];
+  const system = systemWithSafety(req); // لا safety settings في الـ API → سطر مكافئ في system
+  if (system) messages.push({ role: "system", content: system });
+  for (const m of req.messages) messages.push({ role: m.role, content: toContent(m.parts) });
+
+  const body = {
+    model,
+    messages,
+    temperature: req.generation.temperature,
+    top_p: req.generation.topP,
+    max_tokens: req.generation.maxOutputTokens,
+    stream,
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+    ...(req.responseSchema ? { response_format: { type: "json_schema", json_schema: { name: "structured_output", schema: req.responseSchema } } } : {})
+  };
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  return { url: `${baseUrl()}/chat/completions`, headers, body: JSON.stringify(body) };
+}
+
+// نص فقط → string؛ مع وسائط → مصفوفة أجزاء. الصوت غير wav/mp3 يُتجاهل (غير مدعوم في الـ API)
+function toContent(parts) {
+  if (parts.every(p => !p.media)) return parts.map(p => p.text).join("\n");
+  const out = [];
+  for (const p of parts) {
+    if (!p.media) { out.push({ type: "text", text: p.text }); continue; }
+    const { mime, data } = p.media;
+    if (mime.startsWith("image/")) out.push({ type: "image_url", image_url: { url: `data:${mime};base64,${data}` } });
+    else if (AUDIO_FORMATS[mime]) out.push({ type: "input_audio", input_audio: { data, format: AUDIO_FORMATS[mime] } });
+  }
+  return out;
+}
+
+function mapUsage(u) {
+  return u ? { promptTokenCount: u.prompt_tokens, candidatesTokenCount: u.completion_tokens, totalTokenCount: u.total_tokens } : undefined;
+}
+
+function parseResponse(data) {
+  const choice = data?.choices?.[0];
+  return {
+    text: (choice?.message?.content || "").trim(),
+    usage: mapUsage(data?.usage),
+    finishReason: choice?.finish_reason,
+    safety: choice?.message?.refusal ? { refusal: choice.message.refusal } : undefined
+  };
+}
+
+function parseStreamLine(line) {
+  if (!line.startsWith("data:")) return null;
+  const raw = line.slice(5).trim();
+  if (!raw || raw === "[DONE]") return null;
+  let data; try { data = JSON.parse(raw); } catch { return null; }
+  const choice = data?.choices?.[0];
+  return { text: choice?.delta?.content || "", usage: mapUsage(data?.usage), finishReason: choice?.finish_reason || undefined };
+}
+
+module.exports = { name: "openai", isConfigured, defaultModels, acceptsAudio, buildRequest, parseResponse, parseStreamLine };
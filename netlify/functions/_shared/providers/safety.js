@@ -0,0 +1,14 @@
+// safety في الصيغة الموحّدة ("strict" | "relaxed"): Gemini يترجمها لـ safetySettings (gemini.js).
+// المزوّدون بلا إعداد أصلي مماثل (OpenAI-compatible / Ollama) يأخذون سطرًا مكافئًا في تعليمات النظام:
+// strict ≈ BLOCK_ONLY_HIGH لنفس الفئات الأربع، relaxed ≈ BLOCK_NONE (بدون سطر).
+const INSTRUCTIONS = {
+  strict: "Safety policy: do not produce harassment, hate speech, sexually explicit content, or dangerous instructions (e.g. self-harm methods, drug or steroid misuse, extreme starvation diets). If asked, decline that part briefly and help with the safe part.",
+  relaxed: "",
+};
+
+function safetyInstruction(level = "strict") { return INSTRUCTIONS[level] ?? INSTRUCTIONS.strict; }
+
+// system + سطر السلامة (لو وُجد)
+function systemWithSafety(req) { return [req.system, safetyInstruction(req.safety)].filter(Boolean).join("\n\n"); }
+
+module.exports = { safetyInstruction, systemWithSafety };
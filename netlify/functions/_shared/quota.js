@@ -0,0 +1,156 @@
+// Quota subsystem للـ AI proxy:
+// - token bucket للطلبات لكل session id ولكل IP
+// - الجلسة = session id موثّق بتوقيع session-auth فقط؛ الطلب غير الموقّع يأخذ حدود anon (أضيق، لكل IP)
+// - ميزانية توكنز يومية (من usage الذي يرجعه المزوّد) لكل جلسة ولكل IP
+// - إعدادات خاصة لكل جلسة يضبطها الأدمن (budget/session/<id>)
+// الحالة في Netlify Blobs (store: "quota"). لا توجد عمليات ذرّية في Blobs، فالعدّ "best-effort"،
+// وأي عطل في التخزين لا يوقف الخدمة (fail-open).
+const { store } = require('./blobs');
+
+const STORE_NAME = 'quota';
+
+const num = (v, d) => (Number.isFinite(+v) && +v > 0 ? +v : d);
+const LIMITS = {
+  session: { burst: num(process.env.QUOTA_SESSION_BURST, 6), rpm: num(process.env.QUOTA_SESSION_RPM, 4), dailyTokens: num(process.env.QUOTA_SESSION_DAILY_TOKENS, 250000) },
+  ip:      { burst: num(process.env.QUOTA_IP_BURST, 20),     rpm: num(process.env.QUOTA_IP_RPM, 12),     dailyTokens: num(process.env.QUOTA_IP_DAILY_TOKENS, 1000000) },
+  anon:    { burst: num(process.env.QUOTA_ANON_BURST, 3),    rpm: num(process.env.QUOTA_ANON_RPM, 2),    dailyTokens: num(process.env.QUOTA_ANON_DAILY_TOKENS, 50000) },
+};
+
+const dayKey = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+const safeId = (s) => encodeURIComponent(String(s)).slice(0, 200);
+const secondsToMidnightUTC = (now = Date.now()) => {
+  const d = new Date(now); d.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((d.getTime() - now) / 1000);
+};
+
+function clientIp(event) {
+  const h = event.headers || {};
+  return h['x-nf-client-connection-ip'] || (h['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
+}
+
+/* ---- Origin allowlist ---- */
+// ALLOWED_ORIGINS="https://a.com,https://b.com"؛ وإلا نسمح بنطاقات الموقع نفسه (URL/DEPLOY_*).
+// بدون أي منها (تطوير محلي) نسمح للجميع.
+function allowedOrigins() {
+  const list = (process.env.ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (list.length) return list;
+  return [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL].filter(Boolean);
+}
+function checkOrigin(event) {
+  const origin = (event.headers || {}).origin;
+  const list = allowedOrigins();
+  if (!list.length) return { ok: true, allowOrigin: '*' };
+  if (!origin) return { ok: true, allowOrigin: list[0] }; // طلبات بدون Origin (نفس الموقع/سيرفر) تخضع لحدود الـ IP
+  return list.includes(origin) ? { ok: true, allowOrigin: origin } : { ok: false, allowOrigin: list[0] };
+}
+
+/* ---- Token bucket ---- */
+function takeToken(state, { burst, rpm }, now) {
+  const prev = state && Number.isFinite(state.tokens) ? state : { tokens: burst, updated: now };
+  const tokens = Math.min(burst, prev.tokens + ((now - prev.updated) / 60000) * rpm);
+  if (tokens < 1) return { ok: false, retryAfter: Math.ceil(((1 - tokens) / rpm) * 60), state: { tokens, updated: now } };
+  return { ok: true, state: { tokens: tokens - 1, updated: now } };
+}
+
+async function getBudget(sessionId) {
+  if (!sessionId) return null;
+  return store(STORE_NAME).get(`budget/session/${safeId(sessionId)}`, { type: 'json' });
+}
+async function setBudget(sessionId, budget) {
+  await store(STORE_NAME).setJSON(`budget/session/${safeId(sessionId)}`, { ...budget, updated_at: new Date().toISOString() });
+}
+async function getUsage(kind, id, day = dayKey()) {
+  const row = await store(STORE_NAME).get(`usage/${day}/${kind}/${safeId(id)}`, { type: 'json' });
+  return row || { tokens: 0, requests: 0 };
+}
+
+// يستهلك طلبًا من الـ buckets ويتحقق من الميزانية اليومية.
+// sessionId = الجلسة الموثّقة فقط (null → حدود anon لكل IP بدل تخطّي فحص الجلسة)
+// يرجع { ok, ctx } أو { ok:false, status:429, retryAfter, reason }
+async function checkQuota({ sessionId, ip }) {
+  const now = Date.now();
+  const ctx = { sessionId, ip, day: dayKey(now), anonymous: !sessionId };
+  try {
+    const s = store(STORE_NAME);
+    const budget = await getBudget(sessionId);
+    if (budget && budget.blocked) return { ok: false, status: 429, retryAfter: secondsToMidnightUTC(now), reason: 'session_blocked' };
+
+    const sessionLimits = { ...LIMITS.session, ...pickLimits(budget) };
+    const checks = [['ip', ip, LIMITS.ip]];
+    checks.unshift(sessionId ? ['session', sessionId, sessionLimits] : ['anon', ip, LIMITS.anon]);
+
+    for (const [kind, id, limits] of checks) {
+      const used = await getUsage(kind, id, ctx.day);
+      if (used.tokens >= limits.dailyTokens) {
+        return { ok: false, status: 429, retryAfter: secondsToMidnightUTC(now), reason: `${kind}_daily_tokens` };
+      }
+      const key = `bucket/${kind}/${safeId(id)}`;
+      const taken = takeToken(await s.get(key, { type: 'json' }), limits, now);
+      await s.setJSON(key, taken.state);
+      if (!taken.ok) return { ok: false, status: 429, retryAfter: taken.retryAfter, reason: `${kind}_rate` };
+    }
+    return { ok: true, ctx };
+  } catch (e) {
+    console.warn('quota check skipped:', e.message);
+    return { ok: true, ctx };
+  }
+}
+
+// استدعاءات السيرفر الخلفية (استخراج الملف الشخصي): الحظر والميزانية اليومية للجلسة فقط، بدون bucket
+// الطلب الأصلي استهلك الـ bucket بالفعل. يرجع { ok, ctx } أو { ok:false, reason }
+async function checkSessionBudget(sessionId) {
+  const ctx = { sessionId, ip: null, day: dayKey() };
+  try {
+    const budget = await getBudget(sessionId);
+    if (budget && budget.blocked) return { ok: false, reason: 'session_blocked' };
+    const used = await getUsage('session', sessionId, ctx.day);
+    if (used.tokens >= ({ ...LIMITS.session, ...pickLimits(budget) }).dailyTokens) return { ok: false, reason: 'session_daily_tokens' };
+    return { ok: true, ctx };
+  } catch (e) {
+    console.warn('session budget check skipped:', e.message);
+    return { ok: true, ctx };
+  }
+}
+
+function pickLimits(budget) {
+  if (!budget) return {};
+  const out = {};
+  if (num(budget.daily_tokens)) out.dailyTokens = +budget.daily_tokens;
+  if (num(budget.rpm)) out.rpm = +budget.rpm;
+  if (num(budget.burst)) out.burst = +budget.burst;
+  return out;
+}
+
+// يضيف التوكنز المستهلكة (usage.totalTokenCount) لعدادات اليوم
+async function recordUsage(ctx, usage) {
+  if (!ctx) return;
+  const tokens = (usage && +usage.totalTokenCount) || 0;
+  try {
+    const s = store(STORE_NAME);
+    const targets = ctx.ip ? [['ip', ctx.ip]] : [];
+    if (ctx.sessionId) targets.push(['session', ctx.sessionId]);
+    else if (ctx.anonymous) targets.push(['anon', ctx.ip]);
+    for (const [kind, id] of targets) {
+      const key = `usage/${ctx.day}/${kind}/${safeId(id)}`;
+      const row = (await s.get(key, { type: 'json' })) || { tokens: 0, requests: 0 };
+      await s.setJSON(key, { tokens: row.tokens + tokens, requests: row.requests + 1 });
+    }
+  } catch (e) {
+    console.warn('quota usage not recorded:', e.message);
+  }
+}
+
+// الحذف النهائي للجلسة (_shared/session-data.js): bucket + الميزانية + عدادات كل الأيام؛ يرجّع عدد المفاتيح المحذوفة
+async function deleteSessionQuota(sessionId) {
+  const s = store(STORE_NAME);
+  const id = safeId(sessionId);
+  const { blobs } = await s.list({ prefix: 'usage/' });
+  const keys = blobs.map(b => b.key).filter(k => k.endsWith(`/session/${id}`));
+  for (const key of [`bucket/session/${id}`, `budget/session/${id}`]) {
+    if ((await s.get(key)) !== null) keys.push(key);
+  }
+  for (const key of keys) await s.delete(key);
+  return keys.length;
+}
+
+module.exports = { LIMITS, clientIp, checkOrigin, checkQuota, checkSessionBudget, recordUsage, getBudget, setBudget, getUsage, deleteSessionQuota };
@@ -0,0 +1,225 @@
+// طبقة السلامة الطبية على السيرفر (بدل MED_FLAGS في الواجهة):
+// 1) كشف red flags في رسائل العميل (عربي/إنجليزي)
+// 2) سياسات لكل flag: إحالة للطبيب، منع العجز الحاد في السعرات، حجب مكملات تتعارض مع الحالة/الأدوية
+// 3) الحالات الحادة (ألم الصدر، إيذاء النفس) ترد برسالة ثابتة بدون استدعاء النموذج
+// 4) سجل تدقيق في جدول safety_events (supabase/migrations/002_safety_events.sql)
+const { getClient } = require('./supabase');
+
+/* ---- المكملات التي قد تُحجب (الاسم للعرض + نمط للبحث في الرد) ---- */
+const SUPPLEMENTS = {
+  fish_oil:      { ar: 'أوميجا 3 بجرعات عالية', en: 'high-dose fish oil', re: /أوميجا|اوميجا|أوميغا|اوميغا|زيت السمك|omega-?3|fish oil/i },
+  vitamin_e:     { ar: 'فيتامين E بجرعات عالية', en: 'high-dose vitamin E', re: /فيتامين (?:e|إي|هـ)(?![a-z])|vitamin e(?![a-z])/i },
+  vitamin_k:     { ar: 'فيتامين K', en: 'vitamin K', re: /فيتامين (?:k|ك)(?![a-z])|vitamin k(?![a-z])/i },
+  vitamin_a:     { ar: 'فيتامين A بجرعات عالية', en: 'high-dose vitamin A', re: /فيتامين (?:a|أ|ا)(?![a-z])|vitamin a(?![a-z])|retinol/i },
+  ginkgo:        { ar: 'جينكو بيلوبا', en: 'ginkgo biloba', re: /جنكو|جينكو|ginkgo/i },
+  turmeric:      { ar: 'الكركمين', en: 'turmeric/curcumin', re: /كركمين|مكمل الكركم|curcumin|turmeric supplement/i },
+  st_johns_wort: { ar: 'عشبة سانت جون', en: "St John's wort", re: /سانت جون|عشبة القديس|st\.? john'?s wort/i },
+  five_htp:      { ar: '5-HTP / تريبتوفان', en: '5-HTP / tryptophan', re: /5-?htp|تريبتوفان|tryptophan/i },
+  yohimbine:     { ar: 'اليوهمبين', en: 'yohimbine', re: /يوهمبين|yohimbin/i },
+  stimulants:    { ar: 'المنشطات (سينفرين/إفيدرين/DMAA)', en: 'stimulants (synephrine/ephedrine/DMAA)', re: /سينفرين|إفيدرين|افيدرين|synephrine|ephedr|dmaa/i },
+  fat_burners:   { ar: 'حارقات الدهون والبري وورك أوت عالي الكافيين', en: 'fat burners / high-caffeine pre-workout', re: /حارق(?:ات)? (?:ال)?دهون|فات ?بيرنر|بري ?وورك ?[اأ]وت|fat burner|pre-?workout/i },
+  potassium:     { ar: 'مكملات البوتاسيوم', en: 'potassium supplements', re: /بوتاسيوم|potassium/i },
+  licorice:      { ar: 'عرق السوس', en: 'licorice root', re: /عرق ?السوس|licorice|liquorice/i },
+  berberine:     { ar: 'البربرين', en: 'berberine', re: /بربرين|berberine/i },
+  chromium:      { ar: 'الكروميوم', en: 'chromium', re: /كروميوم|chromium/i },
+  ala:           { ar: 'حمض ألفا ليبويك', en: 'alpha-lipoic acid', re: /ألفا ليبويك|الفا ليبويك|alpha[- ]lipoic/i },
+  ashwagandha:   { ar: 'الأشواجاندا', en: 'ashwagandha', re: /أشواجاندا|اشواجاندا|أشواغاندا|اشواغاندا|ashwagandha/i },
+  minerals:      { ar: 'الكالسيوم/الحديد/المغنيسيوم في نفس وقت دواء الغدة', en: 'calcium/iron/magnesium taken with the thyroid dose', re: /كالسيوم|حديد|مغنيسيوم|ماغنسيوم|calcium|iron(?![a-z])|magnesium/i },
+};
+
+/* ---- Red flags ---- */
+// policies: referral | no_deficit | limit_deficit | supplement_guard | low_intensity | no_weight_focus | urgent_care | crisis
+const FLAGS = [
+  {
+    id: 'self_harm', acute: true, policies: ['crisis'],
+    re: /انتحار|[أا]نتحر|[أا]قتل نفسي|[أا]موّ?ت نفسي|[أا]ؤذي نفسي|[أا]ذي نفسي|[أا]ذية نفسي|مش عايز [أا]عيش|مش عاوز [أا]عيش|ما بدي عيش|suicid|kill myself|end my life|self-?harm|hurt(?:ing)? myself|cut(?:ting)? myself|don'?t want to live/i,
+  },
+  {
+    id: 'chest_pain', acute: true, policies: ['urgent_care'],
+    re: /(?:[أا]لم|وجع|ضيق|ضغط|تقل) (?:في|ف|فى) (?:ال)?صدر|صدري (?:واجعني|بيوجعني|بيوجع|بيضغط|مقفول)|chest (?:pain|tightness|pressure)|pain in (?:my|the) chest|(?:[أا]غمى عل[يى]ّ?|[أا]غماء|fainted|passed out) (?:[أا]ثناء|وقت|خلال|during|while)/i,
+  },
+  {
+    id: 'pregnancy', policies: ['referral', 'no_deficit', 'supplement_guard'], minKcal: 1800,
+    avoid: ['yohimbine', 'stimulants', 'fat_burners', 'ashwagandha', 'vitamin_a', 'st_johns_wort'],
+    re: /حامل|فترة الحمل|[أا]ثناء الحمل|شهور الحمل|شهر من الحمل|الشهر \S+ (?:من|في) الحمل|رضاعة|مرضع|بر?ضّ?ع (?:ابني|بنتي|طفلي|النونو)|pregnan|breast-?feed|nursing (?:mother|my baby)/i,
+  },
+  {
+    id: 'diabetes_insulin', policies: ['referral', 'limit_deficit', 'supplement_guard'], minKcal: 1400, maxDeficitPct: 15,
+    avoid: ['berberine', 'chromium', 'ala'],
+    re: /[أا]نسولين|insulin|سكري? (?:من )?(?:النوع )?(?:ال[أا]ول|1)(?![0-9])|type ?1 diabet|t1d(?![a-z])|جليكلازيد|دياميكرون|[أا]ماريل|glimepiride|gliclazide|sulfonylurea/i,
+  },
+  {
+    id: 'heart_disease', policies: ['referral', 'low_intensity', 'supplement_guard'],
+    avoid: ['yohimbine', 'stimulants', 'fat_burners', 'licorice'],
+    re: /مرض (?:في )?القلب|[أا]مراض القلب|مريض قلب|قلبي ضعيف|ذبحة|جلطة (?:في )?القلب|قسطرة|دعامة|عدم انتظام (?:ضربات )?القلب|ضربات (?:القلب )?غير منتظمة|فشل (?:في )?القلب|heart (?:disease|failure|attack|condition)|angina|arrhythmi|stent|bypass surgery|cardiomyopathy/i,
+  },
+  {
+    id: 'eating_disorder', policies: ['referral', 'no_deficit', 'no_weight_focus', 'supplement_guard'], minKcal: 1800,
+    avoid: ['fat_burners', 'stimulants', 'yohimbine'],
+    re: /[أا]نوركسيا|بوليميا|شره مرضي|فقدان الشهية العصبي|اضطراب (?:في )?(?:ال)?[أا]كل|بستفرغ بعد الأكل|برجّ?ع بعد الأكل|بطرش بعد الأكل|بجوّ?ع نفسي|بحرم نفسي من الأكل|anorexi|bulimi|binge[- ]eating|purg(?:e|ing)|eating disorder|starv(?:e|ing) myself|make myself (?:throw up|vomit)/i,
+  },
+];
+
+/* ---- أدوية لها تعارض مع مكملات ---- */
+const MEDICATIONS = [
+  { id: 'anticoagulant', avoid: ['fish_oil', 'vitamin_e', 'vitamin_k', 'ginkgo', 'turmeric'],
+    re: /وارفارين|ماريفان|مميع|سيولة (?:ال)?دم|[أا]دوية السيولة|warfarin|coumadin|apixaban|eliquis|rivaroxaban|xarelto|clopidogrel|plavix|blood thinner/i },
+  { id: 'antidepressant', avoid: ['st_johns_wort', 'five_htp'],
+    re: /مضاد(?:ات)? (?:ال)?اكتئاب|سيرترالين|فلوكستين|بروزاك|سيبرالكس|لوسترال|sertraline|fluoxetine|prozac|escitalopram|cipralex|lexapro|paroxetine|venlafaxine|duloxetine|ssri|snri/i },
+  { id: 'maoi', avoid: ['yohimbine', 'stimulants', 'fat_burners'],
+    re: /maoi|phenelzine|tranylcypromine|selegiline/i },
+  { id: 'antihypertensive', avoid: ['potassium', 'licorice', 'yohimbine', 'fat_burners'],
+    re: /دواء (?:ال)?ضغط|[أا]دوية (?:ال)?ضغط|كونكور|lisinopril|enalapril|ramipril|losartan|valsartan|amlodipine|bisoprolol|concor|ace inhibitor|blood pressure (?:med|pill|tablet)/i },
+  { id: 'levothyroxine', avoid: ['minerals'],
+    re: /ليفوثيروكسين|[إا]لتروكسين|يوثيروكس|levothyroxine|eltroxin|euthyrox|synthroid/i },
+  { id: 'diabetes_meds', avoid: ['berberine', 'chromium', 'ala'],
+    re: /ميتفورمين|جلوكوفاج|metformin|glucophage/i },
+  { id: 'isotretinoin', avoid: ['vitamin_a'],
+    re: /روكتان|isotretinoin|roaccutane|accutane/i },
+];
+
+const excerpt = (text, re) => {
+  const m = re.exec(text);
+  if (!m) return null;
+  const from = Math.max(0, m.index - 40);
+  return text.slice(from, m.index + m[0].length + 40).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * userTexts: كل رسائل العميل (الأقدم أولًا)؛ الحالات الحادة تُفحص في آخر رسالة فقط.
+ * يرجّع null لو لا توجد أي flags.
+ */
+function assess(userTexts) {
+  const texts = userTexts.filter(Boolean);
+  if (!texts.length) return null;
+  const latest = texts[texts.length - 1];
+  const all = texts.join('\n');
+
+  const flags = [];
+  for (const f of FLAGS) {
+    const source = f.acute ? latest : all;
+    if (f.re.test(source)) flags.push({ id: f.id, acute: !!f.acute, inLatest: f.re.test(latest), excerpt: excerpt(source, f.re) });
+  }
+  const meds = MEDICATIONS.filter(m => m.re.test(all));
+  for (const m of meds) flags.push({ id: `medication:${m.id}`, acute: false, inLatest: m.re.test(latest), excerpt: excerpt(all, m.re) });
+  if (!flags.length) return null;
+
+  const defs = flags.map(f => FLAGS.find(d => d.id === f.id)).filter(Boolean);
+  const policies = new Set(defs.flatMap(d => d.policies));
+  if (meds.length) policies.add('supplement_guard');
+  const avoid = [...new Set([...defs.flatMap(d => d.avoid || []), ...meds.flatMap(m => m.avoid)])];
+  const minKcal = Math.max(0, ...defs.map(d => d.minKcal || 0)) || null;
+  const maxDeficitPct = policies.has('no_deficit') ? 0 : (Math.min(...defs.map(d => d.maxDeficitPct ?? Infinity)));
+
+  const acute = flags.find(f => f.acute);
+  return {
+    flags,
+    policies: [...policies],
+    avoid,
+    minKcal,
+    maxDeficitPct: Number.isFinite(maxDeficitPct) ? maxDeficitPct : null,
+    urgent: acute ? acute.id : null,
+  };
+}
+
+/* ---- تعليمات النموذج ---- */
+function systemInstruction(a, lang) {
+  if (!a) return '';
+  const ar = lang === 'ar';
+  const names = a.avoid.map(k => SUPPLEMENTS[k][ar ? 'ar' : 'en']);
+  const lines = [ar ? '⚠️ سياسة السلامة الطبية (إلزامية):' : '⚠️ Medical safety policy (mandatory):'];
+  lines.push(`${ar ? 'حالات مكتشفة' : 'Detected conditions'}: ${a.flags.map(f => f.id).join(', ')}`);
+  if (a.policies.includes('referral')) lines.push(ar ? '- وضّح بلطف أن الخطة لا تغني عن متابعة الطبيب المختص ويجب مراجعته قبل البدء.' : '- Clearly state the plan does not replace their physician and they must get medical clearance first.');
+  if (a.policies.includes('no_deficit')) lines.push(ar ? `- ممنوع أي عجز في السعرات؛ السعرات اليومية لا تقل عن ${a.minKcal} kcal.` : `- No calorie deficit at all; daily calories must not go below ${a.minKcal} kcal.`);
+  else if (a.policies.includes('limit_deficit')) lines.push(ar ? `- العجز في السعرات لا يتجاوز ${a.maxDeficitPct}% من TDEE ولا تقل السعرات عن ${a.minKcal} kcal، مع توزيع كارب ثابت وتنبيه لهبوط السكر حول التمرين.` : `- Calorie deficit at most ${a.maxDeficitPct}% of TDEE and never below ${a.minKcal} kcal; keep carbs consistent and warn about hypoglycemia around training.`);
+  if (a.policies.includes('low_intensity')) lines.push(ar ? '- لا تمارين بأقصى شدة أو HIIT قبل موافقة طبيب القلب؛ شدة متوسطة (RPE ≤ 6) وإحماء وتهدئة أطول.' : '- No max-effort or HIIT work without cardiology clearance; moderate intensity (RPE ≤ 6) with longer warm-up/cool-down.');
+  if (a.policies.includes('no_weight_focus')) lines.push(ar ? '- لا تركّز على الوزن أو عدّ السعرات؛ أسلوب داعم وشجّع على دعم مختص نفسي/تغذية علاجية.' : '- Avoid weight or calorie-counting focus; be supportive and encourage specialist (psychological/clinical nutrition) support.');
+  if (names.length) lines.push(ar ? `- ممنوع اقتراح: ${names.join('، ')}.` : `- Never suggest: ${names.join(', ')}.`);
+  return lines.join('\n');
+}
+
+/* ---- تعديل الرد بعد التوليد (يرجّع نصًا يُضاف لنهاية الرد أو "") ---- */
+const PLAN_LIKE = /سعر|كالوري|kcal|calorie|مكمل|supplement|تمرين|workout|sets|مجموع|وجب|meal/i;
+
+function amendOutput(a, text, lang) {
+  if (!a || a.urgent || !text) return { extra: '', amendments: [] };
+  const ar = lang === 'ar';
+  const notes = [];
+  const amendments = [];
+
+  const banned = a.avoid.filter(k => SUPPLEMENTS[k].re.test(text));
+  if (banned.length) {
+    amendments.push(`supplement_conflict:${banned.join(',')}`);
+    const names = banned.map(k => SUPPLEMENTS[k][ar ? 'ar' : 'en']);
+    notes.push(ar ? `⚠️ **تنبيه أمان:** ${names.join('، ')} قد تتعارض مع حالتك أو أدويتك — لا تستخدمها إلا بموافقة طبيبك.` : `⚠️ **Safety notice:** ${names.join(', ')} may conflict with your condition or medication — do not use without your doctor's approval.`);
+  }
+
+  if (a.minKcal) {
+    const low = [...text.matchAll(/(\d{3,4})\s*(?:kcal|calories|cal(?![a-z])|سعر(?:ة|ات)?|كالوري)/gi)].map(m => +m[1]).filter(n => n >= 500 && n < a.minKcal);
+    if (low.length) {
+      amendments.push(`low_calories:${Math.min(...low)}`);
+      notes.push(ar ? `⚠️ **تنبيه أمان:** في حالتك لا يُنصح بأقل من ${a.minKcal} سعرة يوميًا بدون إشراف طبي.` : `⚠️ **Safety notice:** in your situation, do not go below ${a.minKcal} kcal/day without medical supervision.`);
+    }
+  }
+
+  if (a.policies.includes('referral') && (a.flags.some(f => f.inLatest) || PLAN_LIKE.test(text))) {
+    amendments.push('referral_disclaimer');
+    notes.push(ar ? '🩺 *هذه إرشادات عامة ولا تغني عن استشارة طبيبك المعالج؛ راجعه قبل تطبيق أي خطة غذائية أو تدريبية.*' : '🩺 *This is general guidance and does not replace your treating physician; consult them before starting any diet or training plan.*');
+  }
+
+  return { extra: notes.length ? `\n\n---\n${notes.join('\n\n')}` : '', amendments };
+}
+
+/* ---- فحص خطة JSON (plan_json): أخطاء تدخل حلقة الإصلاح ---- */
+// tdee: من حسابات السيرفر (/api/calc في context) وإلا targets.tdee الذي صرّح به النموذج؛ بدونه لا يُفحص العجز
+function checkPlan(a, plan, { tdee } = {}) {
+  if (!a || !plan || plan.status !== 'ready') return [];
+  const errors = [];
+  const kcal = plan.nutrition?.targets?.calories;
+  if (a.minKcal && kcal && kcal < a.minKcal) errors.push(`$.nutrition.targets.calories must be >= ${a.minKcal} for this client (medical safety policy)`);
+  const base = tdee || plan.nutrition?.targets?.tdee;
+  if (a.maxDeficitPct !== null && base && kcal) {
+    const floor = Math.round(base * (1 - a.maxDeficitPct / 100));
+    if (kcal < floor) errors.push(`$.nutrition.targets.calories must be >= ${floor} (TDEE ${base} kcal, max deficit ${a.maxDeficitPct}% for this client — medical safety policy)`);
+  }
+  for (const [i, s] of (plan.supplements || []).entries()) {
+    const hit = a.avoid.find(k => SUPPLEMENTS[k].re.test(`${s.name} ${s.notes || ''}`));
+    if (hit) errors.push(`$.supplements[${i}] (${s.name}) is not allowed for this client: conflicts with condition/medication (${SUPPLEMENTS[hit].en})`);
+  }
+  return errors;
+}
+
+/* ---- ردود ثابتة للحالات الحادة ---- */
+function urgentResponse(a, lang) {
+  const ar = lang === 'ar';
+  if (a.urgent === 'self_harm') {
+    return ar
+      ? 'أنا آسف جدًا إنك بتمر بده، وكلامك مهم. لو عندك أفكار إنك تؤذي نفسك، أرجوك تواصل **الآن** مع رقم الطوارئ في بلدك أو خط دعم الصحة النفسية، أو كلّم شخص تثق فيه يكون معاك حالًا.\n\nمش لازم تواجه ده لوحدك — المختصين قادرين يساعدوك. لما تكون في أمان، أنا موجود أكمل معاك بخصوص التمرين والتغذية.'
+      : "I'm really sorry you're going through this, and what you said matters. If you're having thoughts of harming yourself, please contact your local emergency number or a mental-health crisis line **right now**, or reach out to someone you trust to be with you.\n\nYou don't have to face this alone — professionals can help. When you're safe, I'm here to continue with training and nutrition.";
+  }
+  return ar
+    ? '🚨 **توقف عن أي مجهود فورًا.** ألم أو ضيق الصدر أو الإغماء أثناء المجهود قد يكون علامة على مشكلة قلبية.\n\n- لو الألم شديد أو مستمر أو معه ضيق نفس/عرق/ألم في الذراع أو الفك: اتصل بالإسعاف **الآن**.\n- لو خفّ: لا تتمرن قبل فحص طبي (رسم قلب) وموافقة الطبيب.\n\nبعد موافقة الطبيب نقدر نبني خطة آمنة تناسبك.'
+    : "🚨 **Stop any exertion immediately.** Chest pain, tightness or fainting during exercise can signal a heart problem.\n\n- If the pain is severe, persistent, or comes with shortness of breath, sweating, or arm/jaw pain: call emergency services **now**.\n- If it eased: don't train again before a medical check (ECG) and your doctor's clearance.\n\nOnce you're cleared, we can build a safe plan for you.";
+}
+
+/* ---- سجل التدقيق ---- */
+async function recordSafetyEvent(a, { requestId, sessionId, action, amendments = [] }) {
+  if (!a) return;
+  try {
+    const supabase = await getClient();
+    const { error } = await supabase.from('safety_events').insert({
+      request_id: requestId,
+      session_id: sessionId || null,
+      flags: a.flags.map(f => f.id),
+      policies: a.policies,
+      action,
+      amendments,
+      details: { excerpts: a.flags.map(f => ({ id: f.id, excerpt: f.excerpt })), avoid: a.avoid, min_kcal: a.minKcal, max_deficit_pct: a.maxDeficitPct },
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.warn('safety audit insert failed:', e.message);
+  }
+}
+
+module.exports = { assess, systemInstruction, amendOutput, checkPlan, urgentResponse, recordSafetyEvent };
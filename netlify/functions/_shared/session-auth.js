@@ -0,0 +1,89 @@
+// طلبات العميل الموقّعة (chat.js، session-data.js). البروتوكول: create-session → session_secret عند العميل فقط
+//
+// الهيدرز: X-Session-ID, X-Timestamp (ms), X-Nonce, X-Signature
+// X-Signature = hex(HMAC-SHA256(key = sha256hex(session_secret), METHOD \n session_id \n timestamp \n nonce \n rawBody))
+// rawBody = نص الـ JSON كما أُرسل؛ GET → ""
+// الـ nonces مشتركة بين كل الدوال الموقّعة، فالطلب الملتقط لا يُعاد إرساله لدالة أخرى
+const crypto = require('crypto');
+
+const WINDOW_MS = 5 * 60 * 1000;
+
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+
+function rest(path, init = {}) {
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    ...init,
+    headers: { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', ...init.headers },
+  });
+}
+
+// صف الجلسة { secret_hash, ai_paused } (null لو غير موجودة)
+async function loadSession(session_id) {
+  const r = await rest(`sessions?id=eq.${encodeURIComponent(session_id)}&select=secret_hash,ai_paused`);
+  if (!r.ok) throw new Error(`fetch session failed: ${await r.text()}`);
+  const [row] = await r.json();
+  return row || null;
+}
+
+// التحقق من التوقيع: HMAC بمفتاح secret_hash + مقارنة constant-time + نافذة 5 دقائق
+function verify({ method, session_id, timestamp, nonce, bodyText, signature, secret_hash }) {
+  if (!/^\d{10,16}$/.test(timestamp || '') || Math.abs(Date.now() - Number(timestamp)) > WINDOW_MS) return false;
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce || '')) return false;
+  if (!/^[0-9a-f]{64}$/i.test(signature || '') || !secret_hash) return false;
+
+  const expect = crypto
+    .createHmac('sha256', secret_hash)
+    .update([method, session_id, timestamp, nonce, bodyText].join('\n'))
+    .digest();
+  return crypto.timingSafeEqual(expect, Buffer.from(signature, 'hex'));
+}
+
+// كل nonce يُقبل مرة واحدة داخل النافذة (المفتاح الأساسي يمنع التكرار حتى مع طلبات متزامنة)
+async function consumeNonce(session_id, nonce) {
+  const r = await rest('chat_nonces', {
+    method: 'POST',
+    headers: { Prefer: 'return=minimal' },
+    body: JSON.stringify([{ session_id, nonce, expires_at: new Date(Date.now() + 2 * WINDOW_MS).toISOString() }]),
+  });
+  if (r.status === 409) return false;
+  if (!r.ok) throw new Error(`nonce insert failed: ${await r.text()}`);
+
+  // تنظيف تدريجي للـ nonces المنتهية
+  if (Math.random() < 0.02) {
+    rest(`chat_nonces?expires_at=lt.${encodeURIComponent(new Date().toISOString())}`, { method: 'DELETE' }).catch(() => {});
+  }
+  return true;
+}
+
+/**
+ * يتحقق من طلب العميل الموقّع.
+ * { session_id, bodyText, ai_paused } أو { error } (404/401 جاهز للإرجاع)
+ */
+async function authenticate(event) {
+  const h = event.headers || {};
+  const session_id = h['x-session-id'];
+  if (!session_id || !h['x-timestamp'] || !h['x-nonce'] || !h['x-signature']) return { error: bad('missing_auth_headers', 401) };
+
+  const session = await loadSession(session_id);
+  if (!session || !session.secret_hash) return { error: bad('session_not_found', 404) };
+  const { secret_hash } = session;
+
+  const bodyText = event.httpMethod === 'GET' ? ''
+    : (event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || ''));
+  const signed = verify({
+    method: event.httpMethod,
+    session_id,
+    timestamp: h['x-timestamp'],
+    nonce: h['x-nonce'],
+    bodyText,
+    signature: h['x-signature'],
+    secret_hash,
+  });
+  if (!signed) return { error: bad('invalid_signature', 401) };
+  if (!(await consumeNonce(session_id, h['x-nonce']))) return { error: bad('replayed_request', 401) };
+
+  return { session_id, bodyText, ai_paused: !!session.ai_paused };
+}
+
+module.exports = { WINDOW_MS, authenticate, verify };
@@ -0,0 +1,187 @@
+// بيانات جلسة العميل: تصدير (JSON / Markdown / HTML) وحذف نهائي.
+// يستخدمها session-data.js (طلب العميل الموقّع) وadmin-delete-session.js (حذف من لوحة التحكم).
+// كل تصدير/حذف يُسجَّل في data_requests (supabase/migrations/007_data_requests.sql) ويبقى بعد الحذف كأثر تدقيق.
+const { getClient } = require('./supabase');
+const { withSignedUrls, readImage, deleteSessionImages, isRef } = require('./images');
+const { FIELDS: PROFILE_FIELDS, fieldText } = require('./profile');
+const { KINDS: PROGRESS_KINDS, listEntries: listProgress } = require('./progress');
+const { listPlans } = require('./plans');
+const { deleteSummary } = require('./history');
+const { deleteSessionQuota } = require('./quota');
+
+const MAX_EMBEDDED_THUMBS = 100; // حزمة HTML تضمّن المصغّرات داخلها (حد لحجم الرد)
+const ROLE_LABELS = { user: '👤 العميل', assistant: '🤖 المدرب الذكي', coach: '🧑‍🏫 المدرب' };
+const PROFILE_LABELS = {
+  name: 'الاسم', age: 'العمر', country: 'الدولة', goal: 'الهدف', health: 'حالة صحية', gym: 'مكان التمرين',
+  meals: 'وجبات/اليوم', sex: 'الجنس', weight: 'الوزن', weight_unit: 'وحدة الوزن', height: 'الطول',
+  height_unit: 'وحدة الطول', body_fat: 'نسبة الدهون', activity: 'النشاط', calc_goal: 'هدف الحساب', lift: 'رفعة',
+};
+
+/* ---- التصدير ---- */
+async function exportSession(session_id, { profile = null } = {}) {
+  const supabase = await getClient();
+  const [session, messages, safety, stored] = await Promise.all([
+    supabase.from('sessions').select('*').eq('id', session_id).limit(1),
+    supabase.from('messages').select('id,client_id,role,text,images,ts').eq('session_id', session_id).order('ts', { ascending: true }),
+    supabase.from('safety_events').select('ts,flags,policies,action,amendments').eq('session_id', session_id).order('ts', { ascending: true }),
+    supabase.from('profiles').select('fields,updated_at').eq('session_id', session_id).limit(1),
+  ]);
+  for (const r of [session, messages, safety, stored]) if (r.error) throw r.error;
+  const progress = await listProgress(session_id);
+  const plans = (await listPlans(session_id)).reverse();
+
+  const { secret_hash: _omit, ...sessionInfo } = session.data[0] || { id: session_id };
+  return {
+    exported_at: new Date().toISOString(),
+    session: sessionInfo,
+    profile,
+    server_profile: stored.data[0] ? stored.data[0].fields : {},
+    messages: await withSignedUrls(session_id, messages.data),
+    progress: await withSignedUrls(session_id, progress),
+    plans,
+    safety_events: safety.data,
+  };
+}
+
+const fmtTime = (ts) => new Date(typeof ts === 'number' || /^\d+$/.test(ts) ? Number(ts) : ts).toLocaleString('ar-EG');
+const fmtValue = (v) => (v && typeof v === 'object' ? Object.entries(v).map(([k, x]) => `${k}: ${x}`).join('، ') : String(v));
+const profileRows = (profile) => Object.entries(profile || {})
+  .filter(([, v]) => v !== null && v !== undefined && v !== '')
+  .map(([k, v]) => [PROFILE_LABELS[k] || k, fmtValue(v)]);
+// الملف المحفوظ على السيرفر: القيمة + مصدرها
+const SOURCE_LABELS = { chat: 'من المحادثة', form: 'من شاشة البيانات', admin: 'من المدرب', report: 'من تقرير InBody/تحاليل' };
+const PROGRESS_LABELS = { weight: 'الوزن', waist: 'الخصر', hip: 'الورك', arm: 'الذراع', body_fat: 'نسبة الدهون', adherence: 'الالتزام', photo: 'صورة تقدّم' };
+const progressText = (e) => `${e.date} — ${PROGRESS_LABELS[e.kind] || e.kind}${e.value === null ? '' : `: ${e.value} ${PROGRESS_KINDS[e.kind]?.unit || ''}`.trimEnd()}${e.note ? ` (${e.note})` : ''}`;
+const planText = (p) => `الإصدار ${p.version}${p.title ? ` — ${p.title}` : ''} (${fmtTime(p.created_at)})`;
+const serverProfileRows = (fields) => Object.entries(fields || {})
+  .map(([k, f]) => [PROFILE_FIELDS[k] ? PROFILE_FIELDS[k].ar : k, `${fieldText(f.value) || '—'} (${SOURCE_LABELS[f.source] || f.source})`]);
+
+function renderMarkdown(data) {
+  const out = [
+    '# بيانات جلستك مع المدرب الذكي',
+    '',
+    `- الجلسة: \`${data.session.id}\``,
+    data.session.created_at ? `- بدأت: ${fmtTime(data.session.created_at)}` : null,
+    `- تاريخ التصدير: ${fmtTime(data.exported_at)}`,
+    '- روابط الصور صالحة لدقائق فقط؛ نسخة JSON تحتوي نفس البيانات بصيغة قابلة للمعالجة.',
+    '',
+  ].filter(x => x !== null);
+
+  const rows = profileRows(data.profile);
+  if (rows.length) out.push('## الملف الشخصي (كما حفظه جهازك)', '', ...rows.map(([k, v]) => `- **${k}:** ${v}`), '');
+  const serverRows = serverProfileRows(data.server_profile);
+  if (serverRows.length) out.push('## الملف الشخصي (المحفوظ لدى المدرب)', '', ...serverRows.map(([k, v]) => `- **${k}:** ${v}`), '');
+
+  if (data.progress.length) {
+    out.push(`## متابعة التقدّم (${data.progress.length} قراءة)`, '');
+    for (const e of data.progress) {
+      out.push(`- ${progressText(e)}`);
+      (e.images || []).forEach((img, i) => { if (img.url) out.push(`  ![صورة ${i + 1}](${img.url})`); });
+    }
+    out.push('');
+  }
+
+  if (data.plans.length) out.push(`## الخطط المحفوظة (${data.plans.length} إصدار)`, '', ...data.plans.map(p => `- ${planText(p)}`), '');
+
+  out.push(`## المحادثة (${data.messages.length} رسالة)`, '');
+  for (const m of data.messages) {
+    out.push(`### ${ROLE_LABELS[m.role] || m.role} — ${fmtTime(m.ts)}`, '');
+    if (m.text) out.push(m.text, '');
+    (m.images || []).forEach((img, i) => { if (img.url && !img.legacy) out.push(`![صورة ${i + 1}](${img.url})`); });
+    if ((m.images || []).length) out.push('');
+  }
+
+  if (data.safety_events.length) {
+    out.push('## تنبيهات السلامة الطبية', '');
+    data.safety_events.forEach(ev => out.push(`- ${fmtTime(ev.ts)}: ${ev.flags.join('، ')} (${ev.action})`));
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// صفحة واحدة مستقلة: المصغّرات مضمّنة (data URLs) وكل صورة ترتبط بأصلها عبر الرابط الموقّع
+async function renderHtml(data) {
+  let embedded = 0;
+  const imageHtml = async (img) => {
+    if (img.legacy) return `<img src="${esc(img.url)}" alt="">`;
+    if (!isRef(img)) return '';
+    let src = null;
+    if (img.thumb && embedded < MAX_EMBEDDED_THUMBS) {
+      const buf = await readImage(data.session.id, img, { thumb: true }).catch(() => null);
+      if (buf) { embedded++; src = `data:image/webp;base64,${buf.toString('base64')}`; }
+    }
+    const thumb = src ? `<img src="${src}" alt="">` : '[صورة]';
+    return img.url ? `<a href="${esc(img.url)}" target="_blank" rel="noopener">${thumb}</a>` : thumb;
+  };
+
+  const messages = [];
+  for (const m of data.messages) {
+    const imgs = [];
+    for (const img of m.images || []) imgs.push(await imageHtml(img));
+    messages.push(`<article class="${m.role === 'user' ? 'user' : m.role === 'coach' ? 'coach' : 'ai'}"><header>${esc(ROLE_LABELS[m.role] || m.role)} · ${esc(fmtTime(m.ts))}</header>${imgs.length ? `<div class="imgs">${imgs.join('')}</div>` : ''}<div class="text">${esc(m.text)}</div></article>`);
+  }
+  const rows = profileRows(data.profile);
+  const serverRows = serverProfileRows(data.server_profile);
+  const progress = [];
+  for (const e of data.progress) {
+    const imgs = [];
+    for (const img of e.images || []) imgs.push(await imageHtml(img));
+    progress.push(`<li>${esc(progressText(e))}${imgs.length ? `<div class="imgs">${imgs.join('')}</div>` : ''}</li>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>بيانات جلستك مع المدرب الذكي</title>
+<style>
+body{font-family:system-ui,'Segoe UI',Tahoma,sans-serif;max-width:820px;margin:2rem auto;padding:0 1rem;color:#111827;line-height:1.7}
+h1{font-size:1.5rem}h2{font-size:1.15rem;margin-top:2rem;border-bottom:1px solid #e5e7eb;padding-bottom:.25rem}
+.meta{color:#6b7280;font-size:.9rem}table{border-collapse:collapse}td{padding:.25rem .75rem;border-bottom:1px solid #f3f4f6}
+article{border-radius:.75rem;padding:.75rem 1rem;margin:.75rem 0}article.user{background:#ecfdf5}article.ai{background:#f9fafb}article.coach{background:#eff6ff}
+article header{font-size:.8rem;color:#6b7280}.text{white-space:pre-wrap}.imgs img{width:96px;height:96px;object-fit:cover;border-radius:.5rem;margin:.25rem}
+</style></head><body>
+<h1>بيانات جلستك مع المدرب الذكي</h1>
+<p class="meta">الجلسة <code>${esc(data.session.id)}</code>${data.session.created_at ? ` · بدأت ${esc(fmtTime(data.session.created_at))}` : ''} · صُدّرت ${esc(fmtTime(data.exported_at))}<br>الصور المصغّرة محفوظة داخل الملف؛ روابط الصور الأصلية صالحة لدقائق فقط.</p>
+${rows.length ? `<h2>الملف الشخصي (كما حفظه جهازك)</h2><table>${rows.map(([k, v]) => `<tr><td>${esc(k)}</td><td>${esc(v)}</td></tr>`).join('')}</table>` : ''}
+${serverRows.length ? `<h2>الملف الشخصي (المحفوظ لدى المدرب)</h2><table>${serverRows.map(([k, v]) => `<tr><td>${esc(k)}</td><td>${esc(v)}</td></tr>`).join('')}</table>` : ''}
+${progress.length ? `<h2>متابعة التقدّم (${progress.length} قراءة)</h2><ul>${progress.join('')}</ul>` : ''}
+${data.plans.length ? `<h2>الخطط المحفوظة (${data.plans.length} إصدار)</h2><ul>${data.plans.map(p => `<li>${esc(planText(p))}</li>`).join('')}</ul>` : ''}
+<h2>المحادثة (${data.messages.length} رسالة)</h2>
+${messages.join('\n')}
+${data.safety_events.length ? `<h2>تنبيهات السلامة الطبية</h2><ul>${data.safety_events.map(ev => `<li>${esc(fmtTime(ev.ts))}: ${esc(ev.flags.join('، '))} (${esc(ev.action)})</li>`).join('')}</ul>` : ''}
+</body></html>`;
+}
+
+/* ---- الحذف النهائي ---- */
+// الصور وBlobs (ملخص المحادثة + حالة الحدود) أولًا ثم الصفوف وصف الجلسة أخيرًا: لو فشل شيء تبقى الجلسة ويمكن إعادة طلب الحذف
+// (الدالة المستدعية تمرّر سياق Blobs بـ connectBlobs(event))
+async function eraseSession(session_id) {
+  const counts = { images: await deleteSessionImages(session_id) };
+  counts.summaries = await deleteSummary(session_id);
+  counts.quota_keys = await deleteSessionQuota(session_id);
+  const supabase = await getClient();
+  for (const [table, column] of [['messages', 'session_id'], ['safety_events', 'session_id'], ['chat_nonces', 'session_id'], ['profiles', 'session_id'], ['progress_entries', 'session_id'], ['plans', 'session_id'], ['sessions', 'id']]) {
+    const { error, count } = await supabase.from(table).delete({ count: 'exact' }).eq(column, session_id);
+    if (error) throw error;
+    counts[table] = count || 0;
+  }
+  // التيليمتري بلا محتوى: تُفصل عن الجلسة وتبقى أرقام الاستهلاك والتكلفة
+  const { error, count } = await supabase.from('ai_requests').update({ session_id: null }, { count: 'exact' }).eq('session_id', session_id);
+  if (error) throw error;
+  counts.ai_requests_detached = count || 0;
+  return counts;
+}
+
+/* ---- سجل الطلبات (best-effort) ---- */
+async function recordDataRequest(session_id, kind, actor, details = {}) {
+  try {
+    const supabase = await getClient();
+    const { error } = await supabase.from('data_requests').insert({ session_id, kind, actor, details });
+    if (error) throw error;
+  } catch (e) {
+    console.error('data request log insert failed:', e.message);
+  }
+}
+
+module.exports = { exportSession, renderMarkdown, renderHtml, eraseSession, recordDataRequest };
@@ -0,0 +1,131 @@
+// إعدادات الموقع (ملف المدرب، الروابط، النصوص) بإصدارات في Netlify Blobs (store: "site-config"):
+//   active              → { version, etag, author, updated_at }
+//   versions/<000042>   → { version, config, etag, author, created_at, message, rollback_of }
+//   history             → ملخص آخر MAX_HISTORY إصدار (الأحدث أولًا) لعرضه في لوحة التحكم
+// لا توجد كتابة شرطية في Blobs v6، فـ If-Match يُفحص قبل الكتابة مباشرة (نافذة السباق صغيرة جدًا لعدد أدمن محدود).
+// بدون أي إصدار محفوظ: config.json في جذر النشر ثم admin/config.json.txt.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { store } = require('./blobs');
+
+const STORE_NAME = 'site-config';
+const MAX_HISTORY = 200;
+const FILE_ETAG = '"file"';
+
+/* ---- Schema ---- */
+const httpsUrl = /^https:\/\/[^\s"'<>]+$/i;
+const FIELDS = {
+  aiSystemPrompt:   { type: 'text', max: 50000 },
+  profileName:      { type: 'text', max: 120, required: true },
+  profileAvatarUrl: { type: 'url', pattern: httpsUrl },
+  profileBio:       { type: 'text', max: 2000 },
+  whatsappLink:     { type: 'url', pattern: /^https:\/\/(wa\.me|api\.whatsapp\.com)\/[^\s"'<>]*$/i, hint: 'https://wa.me/<number>' },
+  telLink:          { type: 'url', pattern: /^tel:\+?[0-9][0-9 -]{5,19}$/, hint: 'tel:+971000000000' },
+  coffeeLink:       { type: 'url', pattern: httpsUrl },
+  iherbCode:        { type: 'code', pattern: /^[A-Z0-9]{3,12}$/, hint: '3-12 uppercase letters/digits' },
+  iherbLink:        { type: 'url', pattern: httpsUrl },
+  welcomeTitle:     { type: 'text', max: 120 },
+  welcomeSubtitle:  { type: 'text', max: 300 },
+  footerRightsText: { type: 'text', max: 200 },
+  dialect:          { type: 'text', max: 40 },   // {{dialect}} في قوالب الشخصيات (مثال: مصرية، خليجية)
+};
+
+// يرجّع { ok, value } أو { ok: false, errors: [{ field, error }] }
+function validateConfig(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { ok: false, errors: [{ field: '$', error: 'must be an object' }] };
+
+  for (const key of Object.keys(input)) {
+    if (!FIELDS[key]) errors.push({ field: key, error: 'unknown field' });
+  }
+  const value = {};
+  for (const [key, def] of Object.entries(FIELDS)) {
+    const raw = input[key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (def.required) errors.push({ field: key, error: 'required' });
+      else value[key] = '';
+      continue;
+    }
+    if (typeof raw !== 'string') { errors.push({ field: key, error: 'must be a string' }); continue; }
+    const v = def.type === 'code' ? raw.trim().toUpperCase() : raw.trim();
+    if (def.max && v.length > def.max) errors.push({ field: key, error: `max ${def.max} characters` });
+    if (def.pattern && !def.pattern.test(v)) errors.push({ field: key, error: `invalid format${def.hint ? ` (${def.hint})` : ''}` });
+    value[key] = v;
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+function diffConfigs(before = {}, after = {}) {
+  return Object.keys(FIELDS)
+    .filter(k => (before[k] || '') !== (after[k] || ''))
+    .map(k => ({ field: k, before: before[k] || '', after: after[k] || '' }));
+}
+
+const makeEtag = (version, config) =>
+  `"v${version}-${crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 16)}"`;
+const versionKey = (n) => `versions/${String(n).padStart(6, '0')}`;
+
+/* ---- القراءة ---- */
+async function readFileConfig() {
+  const candidates = [
+    path.join(process.cwd(), 'config.json'),
+    path.join(process.cwd(), 'admin', 'config.json.txt'),
+    path.join(__dirname, '..', '..', '..', 'admin', 'config.json.txt'),
+  ];
+  for (const file of candidates) {
+    try { return JSON.parse(await fs.readFile(file, 'utf8')); } catch (_) { /* التالي */ }
+  }
+  return {};
+}
+
+// الإصدار النشط: { config, etag, version, source: "blobs" | "file" }
+async function getActiveConfig() {
+  try {
+    const s = store(STORE_NAME);
+    const active = await s.get('active', { type: 'json' });
+    if (active) {
+      const entry = await s.get(versionKey(active.version), { type: 'json' });
+      if (entry) return { config: entry.config, etag: entry.etag, version: entry.version, author: entry.author, updated_at: entry.created_at, source: 'blobs' };
+    }
+  } catch (e) {
+    console.warn('site-config read failed, falling back to file:', e.message);
+  }
+  return { config: await readFileConfig(), etag: FILE_ETAG, version: 0, source: 'file' };
+}
+
+async function getVersion(version) {
+  return store(STORE_NAME).get(versionKey(version), { type: 'json' });
+}
+
+async function listHistory() {
+  return (await store(STORE_NAME).get('history', { type: 'json' })) || [];
+}
+
+/* ---- الكتابة ---- */
+// ifMatch يجب أن يساوي etag الإصدار النشط وإلا { ok: false, conflict }
+async function saveConfig(config, { ifMatch, author, message = '', rollbackOf = null }) {
+  const s = store(STORE_NAME);
+  const current = await getActiveConfig();
+  if (ifMatch !== current.etag) return { ok: false, conflict: true, current };
+
+  const history = await listHistory();
+  const version = Math.max(current.version, history.length ? history[0].version : 0) + 1;
+  const entry = {
+    version,
+    config,
+    etag: makeEtag(version, config),
+    author,
+    created_at: new Date().toISOString(),
+    message: String(message || '').slice(0, 300),
+    rollback_of: rollbackOf,
+  };
+  await s.setJSON(versionKey(version), entry);
+  await s.setJSON('active', { version, etag: entry.etag, author, updated_at: entry.created_at });
+
+  const { config: _omit, ...summary } = entry;
+  await s.setJSON('history', [{ ...summary, changed: diffConfigs(current.config, config).map(d => d.field) }, ...history].slice(0, MAX_HISTORY));
+  return { ok: true, entry };
+}
+
+module.exports = { FIELDS, FILE_ETAG, validateConfig, diffConfigs, getActiveConfig, getVersion, listHistory, saveConfig };
@@ -0,0 +1,346 @@
+// أوضاع الإخراج المنظّم (plan_json / workout_json / meal_json / checkin_json / report_extract):
+// نطلب من المزوّد JSON مطابق لـ schema، نتحقق منه على السيرفر، ونحوّله لـ markdown بجداول للعرض.
+// الـ schema بصيغة JSON Schema مبسّطة؛ كل adapter يترجمها لصيغة مزوّده (responseSchema / response_format / format).
+
+/* ---- Schema builders ---- */
+const str = (description) => ({ type: 'string', ...(description ? { description } : {}) });
+const num = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const int = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const arr = (items, minItems) => ({ type: 'array', items, ...(minItems ? { minItems } : {}) });
+const obj = (properties, required = []) => ({ type: 'object', properties, required });
+
+const EXERCISE = obj({
+  name_ar: str('اسم التمرين بالعربية'),
+  name_en: str('Exercise name in English'),
+  sets: int(1, 10),
+  reps: str('e.g. "8-12" or "45s"'),
+  rest_s: int(0, 600),
+  rpe: num(1, 10),
+  notes: str(),
+}, ['name_ar', 'name_en', 'sets', 'reps', 'rest_s']);
+
+const WORKOUT = obj({
+  days_per_week: int(1, 7),
+  days: arr(obj({
+    day: str('e.g. "Day 1 - Saturday"'),
+    focus: str('Target muscles / split name'),
+    muscles: arr(str()),
+    exercises: arr(EXERCISE, 1),
+    cardio: str(),
+  }, ['day', 'focus', 'exercises']), 1),
+  progression: str('How to progress load week to week (RPE / 1RM based)'),
+}, ['days']);
+
+const FOOD_ITEM = obj({
+  food: str(),
+  grams: num(0, 3000),
+  calories: num(0, 5000),
+  protein_g: num(0, 500),
+  carbs_g: num(0, 800),
+  fat_g: num(0, 400),
+}, ['food', 'grams', 'calories', 'protein_g', 'carbs_g', 'fat_g']);
+
+const NUTRITION = obj({
+  targets: obj({
+    calories: num(800, 7000),
+    protein_g: num(0, 500),
+    carbs_g: num(0, 1000),
+    fat_g: num(0, 400),
+    method: str('Formula used, e.g. Mifflin-St Jeor x activity factor'),
+    tdee: num(800, 10000),
+  }, ['calories', 'protein_g', 'carbs_g', 'fat_g']),
+  days: arr(obj({
+    day: str(),
+    meals: arr(obj({
+      name: str(),
+      time: str(),
+      items: arr(FOOD_ITEM, 1),
+      alternatives: arr(str()),
+    }, ['name', 'items']), 1),
+  }, ['day', 'meals']), 1),
+}, ['targets', 'days']);
+
+const SUPPLEMENT = obj({ name: str(), dose: str(), timing: str(), notes: str() }, ['name', 'dose']);
+
+// status=needs_info يسمح للنموذج بطلب البيانات الناقصة بدل اختلاق خطة
+const BASE = {
+  status: { type: 'string', enum: ['ready', 'needs_info'] },
+  message: str('Short message to the client in their language'),
+  missing: arr(str()),
+  title: str(),
+  notes: arr(str()),
+};
+
+// المراجعة الأسبوعية: أرقام التقدّم (context من /api/progress) → تقييم + تعديلات مقترحة على الخطة
+const ADJUSTMENT = obj({
+  area: { type: 'string', enum: ['training', 'nutrition', 'cardio', 'recovery', 'habits'] },
+  change: str('Concrete change, e.g. "Reduce daily calories by 150 kcal"'),
+  reason: str('Which number in the trend justifies it'),
+}, ['area', 'change', 'reason']);
+
+// قراءة تقارير InBody والتحاليل من صورها: القيمة والوحدة والمدى المرجعي كما طُبعت + ثقة القراءة لكل حقل.
+// المفاتيح المعروفة تُحفظ في الملف الشخصي بعد تأكيد العميل (_shared/profile.js، source = report)؛ other للعرض فقط
+const REPORT_METRICS = {
+  weight:               { group: 'inbody', ar: 'الوزن', en: 'Weight' },
+  skeletal_muscle_mass: { group: 'inbody', ar: 'الكتلة العضلية الهيكلية', en: 'Skeletal muscle mass' },
+  body_fat_mass:        { group: 'inbody', ar: 'كتلة الدهون', en: 'Body fat mass' },
+  body_fat_percent:     { group: 'inbody', ar: 'نسبة الدهون', en: 'Body fat %' },
+  visceral_fat:         { group: 'inbody', ar: 'الدهون الحشوية', en: 'Visceral fat level' },
+  total_body_water:     { group: 'inbody', ar: 'ماء الجسم', en: 'Total body water' },
+  bmi:                  { group: 'inbody', ar: 'مؤشر كتلة الجسم', en: 'BMI' },
+  bmr:                  { group: 'inbody', ar: 'معدل الأيض الأساسي', en: 'BMR' },
+  hba1c:                { group: 'lab', ar: 'السكر التراكمي', en: 'HbA1c' },
+  fasting_glucose:      { group: 'lab', ar: 'سكر صائم', en: 'Fasting glucose' },
+  total_cholesterol:    { group: 'lab', ar: 'الكوليسترول الكلي', en: 'Total cholesterol' },
+  ldl:                  { group: 'lab', ar: 'الكوليسترول الضار LDL', en: 'LDL cholesterol' },
+  hdl:                  { group: 'lab', ar: 'الكوليسترول النافع HDL', en: 'HDL cholesterol' },
+  triglycerides:        { group: 'lab', ar: 'الدهون الثلاثية', en: 'Triglycerides' },
+  vitamin_d:            { group: 'lab', ar: 'فيتامين د', en: 'Vitamin D (25-OH)' },
+  vitamin_b12:          { group: 'lab', ar: 'فيتامين ب12', en: 'Vitamin B12' },
+  ferritin:             { group: 'lab', ar: 'مخزون الحديد (فيريتين)', en: 'Ferritin' },
+  hemoglobin:           { group: 'lab', ar: 'الهيموجلوبين', en: 'Hemoglobin' },
+  tsh:                  { group: 'lab', ar: 'هرمون الغدة TSH', en: 'TSH' },
+  alt:                  { group: 'lab', ar: 'إنزيم الكبد ALT', en: 'ALT' },
+  ast:                  { group: 'lab', ar: 'إنزيم الكبد AST', en: 'AST' },
+  creatinine:           { group: 'lab', ar: 'الكرياتينين', en: 'Creatinine' },
+  uric_acid:            { group: 'lab', ar: 'حمض اليوريك', en: 'Uric acid' },
+  testosterone:         { group: 'lab', ar: 'التستوستيرون', en: 'Testosterone' },
+};
+const REPORT_FLAGS = ['low', 'normal', 'high'];
+
+const REPORT_METRIC = obj({
+  key: { type: 'string', enum: [...Object.keys(REPORT_METRICS), 'other'] },
+  label: str('Test name exactly as printed on the report'),
+  value: { type: 'number' },
+  unit: str('Unit exactly as printed, e.g. "kg", "%", "mg/dL", "ng/mL", "level"'),
+  ref_low: { type: 'number' },
+  ref_high: { type: 'number' },
+  ref_text: str('Reference range as printed when it is not a simple low-high range'),
+  flag: { type: 'string', enum: REPORT_FLAGS },
+  confidence: num(0, 1),
+}, ['key', 'label', 'value', 'unit', 'confidence']);
+
+// kind = plan → status يُسجَّل كـ plan_status (sessions_summary.plan_delivered)
+const MODES = {
+  plan_json: {
+    kind: 'plan',
+    schema: obj({ ...BASE, workout: WORKOUT, nutrition: NUTRITION, supplements: arr(SUPPLEMENT) }, ['status', 'message']),
+    requiredWhenReady: ['workout', 'nutrition'],
+    what: 'a complete weekly workout plan AND a complete weekly meal plan',
+  },
+  workout_json: {
+    kind: 'plan',
+    schema: obj({ ...BASE, workout: WORKOUT }, ['status', 'message']),
+    requiredWhenReady: ['workout'],
+    what: 'a complete weekly workout plan',
+  },
+  meal_json: {
+    kind: 'plan',
+    schema: obj({ ...BASE, nutrition: NUTRITION, supplements: arr(SUPPLEMENT) }, ['status', 'message']),
+    requiredWhenReady: ['nutrition'],
+    what: 'a complete weekly meal plan',
+  },
+  checkin_json: {
+    kind: 'checkin',
+    schema: obj({
+      ...BASE,
+      progress: { type: 'string', enum: ['ahead', 'on_track', 'slow', 'stalled', 'off_track'] },
+      highlights: arr(str()),
+      adjustments: arr(ADJUSTMENT),
+    }, ['status', 'message']),
+    requiredWhenReady: ['progress', 'adjustments'],
+    what: 'a weekly progress check-in: assess the progress numbers against the client\'s goal and suggest concrete plan adjustments (an empty "adjustments" list is fine when the plan is working)',
+    basis: 'the progress numbers and profile given in the context, plus the client\'s check-in note',
+    missing: 'If there are not enough readings to judge a trend (e.g. fewer than two weigh-ins) or the goal is unknown, set "status":"needs_info", list what to log in "missing" and ask for it in "message". Never guess numbers that are not in the context.',
+  },
+  report_extract: {
+    kind: 'report',
+    schema: obj({
+      ...BASE,
+      report_type: { type: 'string', enum: ['inbody', 'lab', 'mixed'] },
+      report_date: str('Date printed on the report as YYYY-MM-DD'),
+      metrics: arr(REPORT_METRIC),
+    }, ['status', 'message']),
+    requiredWhenReady: ['report_type', 'metrics'],
+    what: 'a faithful extraction of every measured value on the attached InBody / body-composition scan or blood-test report',
+    basis: 'the attached report images only',
+    missing: 'If no image is attached, the image is not an InBody or lab report, or the values cannot be read, set "status":"needs_info" and ask in "message" for a clear, well-lit photo of the whole report. Never guess a value you cannot read.',
+    rules: [
+      `Use "key" from this list when the test matches (any language or abbreviation): ${Object.entries(REPORT_METRICS).map(([k, m]) => `${k} = ${m.en}`).join('; ')}. Use "other" for any other test.`,
+      'Copy "value" and "unit" exactly as printed; do not convert units. Put the printed reference range in ref_low/ref_high (or ref_text when it is not a simple range) and set "flag" from the report\'s own marks or by comparing with that range.',
+      '"confidence" is 0-1: how sure you are that you read the digits, unit and test name correctly (lower it for blurry, cropped or handwritten values).',
+      'In "message", briefly summarise what is out of range in plain words, without diagnosing; advise discussing abnormal lab values with a doctor.',
+    ],
+  },
+};
+
+function getStructuredMode(mode) {
+  const m = MODES[mode];
+  if (!m) return null;
+  return {
+    name: mode,
+    kind: m.kind,
+    schema: m.schema,
+    instruction: (lang) => instruction(m, lang),
+    parse: (text) => parseAndValidate(m, text),
+    repairPrompt: (errors, lang) => repairPrompt(errors, lang),
+    render: (value, lang) => renderMarkdown(value, lang),
+  };
+}
+
+/* ---- Prompts ---- */
+function instruction(m, lang) {
+  return [
+    `Output ONLY a JSON object that matches the provided schema. No markdown, no code fences, no extra text.`,
+    `Goal: produce ${m.what} for this client, based strictly on ${m.basis || 'the conversation'}.`,
+    m.missing || `If essential data is missing (goal, weight, height, age, sex, activity level, training place/days, health conditions, food preferences), set "status":"needs_info", list the missing items in "missing" and ask for them in "message". Do not invent data.`,
+    `Otherwise set "status":"ready" and fill every required field. Numeric fields are plain numbers without units. Exercise names are given in both Arabic (name_ar) and English (name_en).`,
+    ...(m.rules || []),
+    `Write all free-text values in ${lang === 'ar' ? 'Arabic' : 'English'}.`,
+  ].join('\n');
+}
+
+function repairPrompt(errors, lang) {
+  const head = lang === 'ar'
+    ? 'الـ JSON السابق غير صالح. أعد إرسال JSON كامل ومصحّح فقط (بدون أي نص آخر) يعالج هذه الأخطاء:'
+    : 'The previous JSON is invalid. Return ONLY a complete, corrected JSON object (no other text) fixing these errors:';
+  return `${head}\n${errors.slice(0, 25).map(e => `- ${e}`).join('\n')}`;
+}
+
+/* ---- Validation ---- */
+function parseAndValidate(m, text) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+  let value;
+  try { value = JSON.parse(raw); } catch (e) { return { ok: false, errors: [`Not valid JSON: ${e.message}`] }; }
+
+  const errors = validate(m.schema, value, '$');
+  if (!errors.length && value.status === 'ready') {
+    for (const k of m.requiredWhenReady) if (value[k] === undefined) errors.push(`$.${k} is required when status is "ready"`);
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+function validate(schema, value, path) {
+  const errors = [];
+  const t = schema.type;
+  if (t === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+    for (const k of schema.required || []) if (value[k] === undefined || value[k] === null) errors.push(`${path}.${k} is required`);
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] !== undefined && value[k] !== null) errors.push(...validate(sub, value[k], `${path}.${k}`));
+    }
+  } else if (t === 'array') {
+    if (!Array.isArray(value)) return [`${path} must be an array`];
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    value.forEach((v, i) => errors.push(...validate(schema.items, v, `${path}[${i}]`)));
+  } else if (t === 'number' || t === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} must be a number`];
+    if (t === 'integer' && !Number.isInteger(value)) errors.push(`${path} must be an integer`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  } else if (t === 'string') {
+    if (typeof value !== 'string') return [`${path} must be a string`];
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  return errors;
+}
+
+/* ---- Markdown rendering ---- */
+const LABELS = {
+  ar: { workout: '🏋️ خطة التدريب', nutrition: '🥗 الخطة الغذائية', supplements: '💊 المكملات', notes: '📝 ملاحظات', missing: 'بيانات مطلوبة',
+        exercise: 'التمرين', sets: 'مجموعات × تكرار', rest: 'راحة', food: 'المكوّن', grams: 'جرام', kcal: 'سعرات', protein: 'بروتين', carbs: 'كارب', fat: 'دهون',
+        total: 'الإجمالي', targets: 'الأهداف اليومية', cardio: 'كارديو', alternatives: 'بدائل', progression: 'التدرّج', sec: 'ث',
+        progress: '📈 التقدّم', highlights: 'أبرز الأرقام', adjustments: '🔧 تعديلات مقترحة', noChanges: 'استمر على نفس الخطة هذا الأسبوع.',
+        status: { ahead: 'أسرع من المتوقع', on_track: 'على المسار', slow: 'أبطأ من المتوقع', stalled: 'متوقف', off_track: 'بعيد عن الهدف' },
+        areas: { training: 'التمرين', nutrition: 'التغذية', cardio: 'الكارديو', recovery: 'الاستشفاء', habits: 'العادات' },
+        report: { inbody: '📊 نتائج InBody', lab: '🧪 نتائج التحاليل', mixed: '📊 نتائج التقرير' }, test: 'الفحص', value: 'القيمة', reference: 'المرجع', flag: 'الحالة', confidence: 'دقة القراءة',
+        flags: { low: '⬇️ منخفض', normal: '✅ طبيعي', high: '⬆️ مرتفع' } },
+  en: { workout: '🏋️ Workout plan', nutrition: '🥗 Meal plan', supplements: '💊 Supplements', notes: '📝 Notes', missing: 'Needed information',
+        exercise: 'Exercise', sets: 'Sets × Reps', rest: 'Rest', food: 'Item', grams: 'g', kcal: 'kcal', protein: 'Protein', carbs: 'Carbs', fat: 'Fat',
+        total: 'Total', targets: 'Daily targets', cardio: 'Cardio', alternatives: 'Alternatives', progression: 'Progression', sec: 's',
+        progress: '📈 Progress', highlights: 'Key numbers', adjustments: '🔧 Suggested adjustments', noChanges: 'Keep the same plan this week.',
+        status: { ahead: 'Ahead of schedule', on_track: 'On track', slow: 'Slower than expected', stalled: 'Stalled', off_track: 'Off track' },
+        areas: { training: 'Training', nutrition: 'Nutrition', cardio: 'Cardio', recovery: 'Recovery', habits: 'Habits' },
+        report: { inbody: '📊 InBody results', lab: '🧪 Lab results', mixed: '📊 Report results' }, test: 'Test', value: 'Value', reference: 'Reference', flag: 'Flag', confidence: 'Read confidence',
+        flags: { low: '⬇️ Low', normal: '✅ Normal', high: '⬆️ High' } },
+};
+
+const cell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+const round = (n) => Math.round((+n || 0) * 10) / 10;
+const row = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+
+// المدى المرجعي كما طُبع: low–high أو < high أو > low أو النص
+function referenceText(x) {
+  if (x.ref_low != null && x.ref_high != null) return `${x.ref_low}–${x.ref_high}`;
+  if (x.ref_high != null) return `< ${x.ref_high}`;
+  if (x.ref_low != null) return `> ${x.ref_low}`;
+  return x.ref_text || '';
+}
+
+function renderMarkdown(value, lang) {
+  const L = LABELS[lang] || LABELS.en;
+  const out = [];
+  if (value.title) out.push(`## ${value.title}`);
+  if (value.message) out.push(value.message);
+
+  if (value.status === 'needs_info') {
+    if (value.missing?.length) out.push(`**${L.missing}:**\n${value.missing.map(m => `- ${m}`).join('\n')}`);
+    return out.join('\n\n');
+  }
+
+  const w = value.workout;
+  if (w) {
+    out.push(`### ${L.workout}`);
+    for (const d of w.days) {
+      const lines = [`#### ${d.day} — ${d.focus}`];
+      lines.push(row([L.exercise, 'Exercise', L.sets, L.rest, 'RPE']), row(['---', '---', '---', '---', '---']));
+      for (const e of d.exercises) lines.push(row([e.name_ar, e.name_en, `${e.sets} × ${e.reps}`, `${e.rest_s}${L.sec}`, e.rpe ?? '']));
+      if (d.cardio) lines.push('', `**${L.cardio}:** ${d.cardio}`);
+      out.push(lines.join('\n'));
+    }
+    if (w.progression) out.push(`**${L.progression}:** ${w.progression}`);
+  }
+
+  const n = value.nutrition;
+  if (n) {
+    const t = n.targets;
+    out.push(`### ${L.nutrition}`, `**${L.targets}:** ${round(t.calories)} ${L.kcal} · ${L.protein} ${round(t.protein_g)}g · ${L.carbs} ${round(t.carbs_g)}g · ${L.fat} ${round(t.fat_g)}g${t.method ? ` (${t.method})` : ''}`);
+    for (const d of n.days) {
+      const lines = [`#### ${d.day}`];
+      for (const meal of d.meals) {
+        const sum = (k) => round(meal.items.reduce((a, it) => a + (+it[k] || 0), 0));
+        lines.push('', `**${meal.name}**${meal.time ? ` (${meal.time})` : ''}`, '');
+        lines.push(row([L.food, L.grams, L.kcal, L.protein, L.carbs, L.fat]), row(['---', '---', '---', '---', '---', '---']));
+        for (const it of meal.items) lines.push(row([it.food, round(it.grams), round(it.calories), round(it.protein_g), round(it.carbs_g), round(it.fat_g)]));
+        lines.push(row([`**${L.total}**`, '', sum('calories'), sum('protein_g'), sum('carbs_g'), sum('fat_g')]));
+        if (meal.alternatives?.length) lines.push('', `${L.alternatives}: ${meal.alternatives.join('، ')}`);
+      }
+      out.push(lines.join('\n'));
+    }
+  }
+
+  if (value.progress) {
+    out.push(`### ${L.progress}: ${L.status[value.progress] || value.progress}`);
+    if (value.highlights?.length) out.push(`**${L.highlights}:**\n${value.highlights.map(h => `- ${h}`).join('\n')}`);
+  }
+  if (value.adjustments) {
+    out.push(`### ${L.adjustments}`, value.adjustments.length
+      ? value.adjustments.map(a => `- **${L.areas[a.area] || a.area}:** ${a.change}${a.reason ? ` — _${a.reason}_` : ''}`).join('\n')
+      : L.noChanges);
+  }
+
+  if (value.metrics) {
+    out.push(`### ${L.report[value.report_type] || L.report.mixed}${value.report_date ? ` (${value.report_date})` : ''}`);
+    const lines = [row([L.test, L.value, L.reference, L.flag, L.confidence]), row(['---', '---', '---', '---', '---'])];
+    for (const x of value.metrics) lines.push(row([x.label, `${x.value} ${x.unit}`, referenceText(x), L.flags[x.flag] || '', `${Math.round(x.confidence * 100)}%`]));
+    out.push(lines.join('\n'));
+  }
+
+  if (value.supplements?.length) {
+    out.push(`### ${L.supplements}`, value.supplements.map(s => `- **${s.name}** — ${[s.dose, s.timing, s.notes].filter(Boolean).join(' — ')}`).join('\n'));
+  }
+  if (value.notes?.length) out.push(`### ${L.notes}`, value.notes.map(x => `- ${x}`).join('\n'));
+  return out.join('\n\n');
+}
+
+module.exports = { getStructuredMode, validate, LABELS, REPORT_METRICS, REPORT_FLAGS, referenceText };
@@ -0,0 +1,85 @@
+// Telemetry للـ AI proxy: صف واحد لكل طلب في جدول ai_requests (supabase/migrations/001_ai_requests.sql).
+// الكتابة best-effort: أي خطأ في Supabase يُسجَّل في اللوج فقط ولا يؤثر على رد المستخدم.
+const { getClient } = require('./supabase');
+
+// $ لكل مليون توكن { input, output }؛ أول نمط مطابق يُستخدم. MODEL_PRICES (JSON) يضيف/يستبدل أسعار.
+const DEFAULT_PRICES = [
+  [/^gemini:gemini-1\.5-pro/, { input: 1.25, output: 5.0 }],
+  [/^gemini:gemini-1\.5-flash/, { input: 0.075, output: 0.30 }],
+  [/^gemini:gemini-2\.0-flash-exp/, { input: 0, output: 0 }],
+  [/^gemini:gemini-2\.0-flash/, { input: 0.10, output: 0.40 }],
+  [/^openai:gpt-4o-mini/, { input: 0.15, output: 0.60 }],
+  [/^openai:gpt-4o/, { input: 2.5, output: 10.0 }],
+  [/^ollama:/, { input: 0, output: 0 }],
+];
+
+function prices() {
+  let custom = [];
+  try {
+    custom = Object.entries(JSON.parse(process.env.MODEL_PRICES || '{}'))
+      .map(([target, p]) => [new RegExp(`^${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`), p]);
+  } catch (e) { console.warn('MODEL_PRICES is not valid JSON'); }
+  return [...custom, ...DEFAULT_PRICES];
+}
+
+function estimateCost(provider, model, usage) {
+  if (!provider || !model || !usage) return null;
+  const hit = prices().find(([re]) => re.test(`${provider}:${model}`));
+  if (!hit) return null;
+  const input = usage.promptTokenCount || 0;
+  const output = usage.candidatesTokenCount || Math.max(0, (usage.totalTokenCount || 0) - input);
+  return Number(((input * hit[1].input + output * hit[1].output) / 1e6).toFixed(6));
+}
+
+// تصنيف افتراضي من الـ status لو لم يحدده الـ handler
+function categorize(status) {
+  if (status < 400) return null;
+  return ({ 400: 'bad_request', 403: 'forbidden_origin', 404: 'not_found', 405: 'method_not_allowed', 422: 'invalid_output', 429: 'rate_limited', 502: 'upstream_error', 504: 'timeout' })[status] || 'server_error';
+}
+
+function startTelemetry() {
+  return {
+    requestId: (Math.random().toString(36).slice(2) + Date.now().toString(36)).toUpperCase(),
+    start: Date.now(),
+    models_tried: [],
+    skip: false,      // OPTIONS وما شابه
+    deferred: false,  // البث: يُسجَّل عند نهاية الـ stream
+  };
+}
+
+async function finishTelemetry(tel, status, { error_category } = {}) {
+  if (tel.skip || tel.done) return;
+  tel.done = true;
+  const usage = tel.usage || {};
+  const row = {
+    request_id: tel.requestId,
+    session_id: tel.session_id || null,
+    lang: tel.lang || null,
+    mode: tel.mode || null,
+    persona: tel.persona || null,
+    stream: !!tel.stream,
+    provider: tel.provider || null,
+    model: tel.model || null,
+    models_tried: tel.models_tried,
+    status,
+    error_category: error_category || tel.error_category || categorize(status),
+    cache: tel.cache || null,
+    took_ms: Date.now() - tel.start,
+    chunks: tel.chunks ?? null,
+    repairs: tel.repairs ?? null,
+    plan_status: tel.plan_status || null,
+    prompt_tokens: usage.promptTokenCount ?? null,
+    completion_tokens: usage.candidatesTokenCount ?? null,
+    total_tokens: usage.totalTokenCount ?? null,
+    cost_usd: estimateCost(tel.provider, tel.model, tel.usage),
+  };
+  try {
+    const supabase = await getClient();
+    const { error } = await supabase.from('ai_requests').insert(row);
+    if (error) throw error;
+  } catch (e) {
+    console.warn('telemetry insert failed:', e.message);
+  }
+}
+
+module.exports = { startTelemetry, finishTelemetry, estimateCost, categorize };
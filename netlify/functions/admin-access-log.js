@@ -0,0 +1,39 @@
+const { getClient } = require('./_shared/supabase');
+const { requireRole } = require('./_shared/admin-auth');
+
+// GET ?admin=&session_id=&action=&limit=200&before=<ts> → سجل وصول الأدمن (owner فقط)
+// GET ?log=data_requests&session_id=&kind=export|erase → طلبات تصدير/حذف بيانات العملاء
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, 'owner');
+    if (!auth.ok) return auth.response;
+    if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const q = event.queryStringParameters || {};
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 200, 1), 1000);
+    const supabase = await getClient();
+
+    const dataRequests = q.log === 'data_requests';
+    let query = supabase.from(dataRequests ? 'data_requests' : 'admin_access_log').select('*').order('ts', { ascending: false }).limit(limit);
+    if (q.session_id) query = query.eq('session_id', q.session_id);
+    if (dataRequests) {
+      if (q.kind) query = query.eq('kind', q.kind);
+    } else {
+      if (q.admin) query = query.eq('admin', q.admin);
+      if (q.action) query = query.eq('action', q.action);
+    }
+    if (q.before) query = query.lt('ts', q.before);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+      body: JSON.stringify({ ok: true, entries: data }),
+    };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { getClient } = require('./_shared/supabase');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+
+// تدخّل المدرب البشري في جلسة عميل (coach+) — supabase/migrations/009_coach_takeover.sql
+// POST { session_id, action: 'reply', text, pause? } → رسالة role = coach تظهر للعميل مع المزامنة الدورية
+// POST { session_id, action: 'pause' | 'resume' }    → إيقاف/تشغيل ردود الذكاء الاصطناعي في الجلسة
+const MAX_TEXT_CHARS = 10000;
+
+async function setPaused(supabase, session_id, paused, username) {
+  const { error } = await supabase.from('sessions')
+    .update(paused
+      ? { ai_paused: true, ai_paused_by: username, ai_paused_at: new Date().toISOString() }
+      : { ai_paused: false, ai_paused_by: null, ai_paused_at: null })
+    .eq('id', session_id);
+  if (error) throw error;
+}
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+    const auth = requireRole(event, 'coach');
+    if (!auth.ok) return auth.response;
+
+    const { session_id, action, text = '', pause = false } = JSON.parse(event.body || '{}');
+    if (!session_id) return { statusCode: 400, body: 'session_id required' };
+    if (!['reply', 'pause', 'resume'].includes(action)) return { statusCode: 400, body: 'unknown action' };
+
+    const supabase = await getClient();
+    const { data: session, error } = await supabase.from('sessions').select('id,ai_paused').eq('id', session_id).maybeSingle();
+    if (error) throw error;
+    if (!session) return { statusCode: 404, body: 'session not found' };
+
+    let message = null;
+    if (action === 'reply') {
+      const body = String(text).trim();
+      if (!body || body.length > MAX_TEXT_CHARS) return { statusCode: 400, body: 'invalid text' };
+      // client_id بنفس صيغة معرّفات العميل (coach-<ts>-…) → الدمج على الأجهزة بلا تكرار
+      const ts = Date.now();
+      const { data, error: insertError } = await supabase.from('messages')
+        .insert({ session_id, client_id: `coach-${ts}-${crypto.randomBytes(3).toString('hex')}`, role: 'coach', author: auth.admin.username, text: body, images: [], ts })
+        .select('id,client_id,role,author,text,images,ts')
+        .single();
+      if (insertError) throw insertError;
+      message = data;
+      if (pause && !session.ai_paused) await setPaused(supabase, session_id, true, auth.admin.username);
+    } else {
+      await setPaused(supabase, session_id, action === 'pause', auth.admin.username);
+    }
+
+    const ai_paused = action === 'reply' ? session.ai_paused || !!pause : action === 'pause';
+    await logAccess(event, auth.admin, action === 'reply' ? 'coach_reply' : `ai_${action}`, {
+      session_id,
+      details: message ? { message_id: message.id, chars: message.text.length, ai_paused } : { ai_paused },
+    });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ok: true, message, ai_paused }),
+    };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
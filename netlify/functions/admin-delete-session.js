@@ -0,0 +1,31 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+const { eraseSession, recordDataRequest } = require('./_shared/session-data');
+
+// حذف نهائي لجلسة عميل (owner فقط): الصور والرسائل وأحداث السلامة وملخص Blobs وصف الجلسة (_shared/session-data.js)
+// DELETE ?session_id=&reason= → يُسجَّل في admin_access_log وdata_requests
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'DELETE') return { statusCode: 405, body: 'Method Not Allowed' };
+    const auth = requireRole(event, 'owner');
+    if (!auth.ok) return auth.response;
+    connectBlobs(event);
+
+    const q = event.queryStringParameters || {};
+    if (!q.session_id) return { statusCode: 400, body: 'session_id required' };
+    const reason = String(q.reason || '').slice(0, 300);
+
+    const erased = await eraseSession(q.session_id);
+    await recordDataRequest(q.session_id, 'erase', auth.admin.username, { ...erased, reason });
+    await logAccess(event, auth.admin, 'erase_session', { session_id: q.session_id, details: { ...erased, reason } });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ok: true, session_id: q.session_id, erased }),
+    };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
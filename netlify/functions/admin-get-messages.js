@@ -1,25 +1,55 @@
 const { getClient } = require('./_shared/supabase');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+const { withSignedUrls } = require('./_shared/images');
+
+// رسائل جلسة بالترتيب الزمني، صفحات بالمؤشر: GET ?session_id=&limit=&cursor=<ts>.<id>
+// → { messages, next_cursor, total, session }؛ total وsession (حالة إيقاف الذكاء الاصطناعي) في الصفحة الأولى فقط
+// المؤشر = آخر رسالة معروضة → نفس الطلب يجلب الرسائل الجديدة أثناء متابعة المدرب
+const PAGE = 200;
+const MAX_LIMIT = 1000;
 
 exports.handler = async (event) => {
   try {
-    const session_id = (event.queryStringParameters || {}).session_id;
+    const auth = requireRole(event, 'read_only');
+    if (!auth.ok) return auth.response;
+
+    const q = event.queryStringParameters || {};
+    const session_id = q.session_id;
     if (!session_id) return { statusCode: 400, body: 'session_id required' };
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || PAGE, 1), MAX_LIMIT);
+    const cursor = q.cursor ? /^(\d{1,16})\.([A-Za-z0-9-]{1,64})$/.exec(q.cursor) : null;
+    if (q.cursor && !cursor) return { statusCode: 400, body: 'invalid cursor' };
 
     const supabase = await getClient();
 
-    const { data, error } = await supabase
+    // صف زائد لمعرفة وجود صفحة تالية؛ (ts, id) لأن رسائل كثيرة قد تتشارك نفس الـ ms
+    let query = supabase
       .from('messages')
-      .select('*')
+      .select('id,client_id,role,author,text,images,ts', cursor ? {} : { count: 'exact' })
       .eq('session_id', session_id)
       .order('ts', { ascending: true })
-      .limit(1000);
+      .order('id', { ascending: true })
+      .limit(limit + 1);
+    if (cursor) query = query.or(`ts.gt.${cursor[1]},and(ts.eq.${cursor[1]},id.gt.${cursor[2]})`);
 
+    const [{ data, error, count }, session] = await Promise.all([
+      query,
+      cursor ? null : supabase.from('sessions').select('created_at,ai_paused,ai_paused_by,ai_paused_at').eq('id', session_id).maybeSingle(),
+    ]);
     if (error) throw error;
+    if (session && session.error) throw session.error;
+    const messages = data.slice(0, limit);
+    const last = messages[messages.length - 1];
+    const next_cursor = data.length > limit ? `${last.ts}.${last.id}` : null;
+
+    // من اطّلع على أي جلسة (محادثات صحية وصور)؛ المتابعة الدورية بلا جديد لا تُسجَّل
+    if (!cursor || messages.length) await logAccess(event, auth.admin, 'view_session', { session_id, details: { messages: messages.length, page: cursor ? 'next' : 'first' } });
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ok: true, messages: data }),
+      // الصور مراجع في Storage → روابط موقّعة قصيرة العمر للعرض
+      body: JSON.stringify({ ok: true, messages: await withSignedUrls(session_id, messages), next_cursor, total: cursor ? undefined : count, session: session ? session.data : undefined }),
     };
   } catch (e) {
     console.error(e);
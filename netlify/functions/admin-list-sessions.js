@@ -1,22 +1,90 @@
 const { getClient } = require('./_shared/supabase');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
 
-exports.handler = async () => {
+// بحث وتصفية الجلسات (supabase/migrations/008_admin_search.sql → admin_search_sessions)
+// GET ?q=&from=&to=&lang=ar|en&min_messages=&max_messages=&flagged=1|0&plan=1|0&sort=&dir=asc|desc&limit=&cursor=
+// → { sessions, next_cursor }؛ next_cursor = null في آخر صفحة
+const SORTS = ['last_ts', 'first_ts', 'created_at', 'message_count'];
+const MAX_LIMIT = 200;
+
+const bad = (m) => ({ statusCode: 400, body: m });
+const int = (v) => (v === undefined || v === '' ? null : (/^\d{1,9}$/.test(v) ? Number(v) : NaN));
+const bool = (v) => (v === '1' || v === 'true' ? true : v === '0' || v === 'false' ? false : null);
+const date = (v) => (v ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T00:00:00Z` : v) : null);
+
+// المؤشر = قيمة الترتيب لآخر صف + session_id، مربوط بالترتيب الذي صدر منه
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString('base64url');
+function decodeCursor(s, sort, dir) {
   try {
-    const supabase = await getClient();
+    const c = JSON.parse(Buffer.from(s, 'base64url').toString('utf8'));
+    return c && c.sort === sort && c.dir === dir && typeof c.id === 'string' ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, 'read_only');
+    if (!auth.ok) return auth.response;
 
-    // يقرأ من الـ VIEW المقترح: sessions_summary
-    const { data, error } = await supabase
-      .from('sessions_summary')
-      .select('*')
-      .order('last_ts', { ascending: false })
-      .limit(200);
+    const q = event.queryStringParameters || {};
+    const sort = SORTS.includes(q.sort) ? q.sort : 'last_ts';
+    const dir = q.dir === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(int(q.limit) || 50, MAX_LIMIT);
+    const query = String(q.q || '').trim().slice(0, 200);
+
+    const filters = {
+      from: date(q.from),
+      // تاريخ بدون وقت في "إلى" يشمل اليوم كله
+      to: q.to && /^\d{4}-\d{2}-\d{2}$/.test(q.to) ? new Date(Date.parse(`${q.to}T00:00:00Z`) + 86400000 - 1) : date(q.to),
+      lang: ['ar', 'en'].includes(q.lang) ? q.lang : null,
+      min_messages: int(q.min_messages),
+      max_messages: int(q.max_messages),
+      flagged: bool(q.flagged),
+      plan: bool(q.plan),
+    };
+    if ([filters.from, filters.to].some(d => d && isNaN(d))) return bad('invalid date');
+    if ([filters.min_messages, filters.max_messages].some(Number.isNaN)) return bad('invalid message count');
+
+    let cursor = null;
+    if (q.cursor) {
+      cursor = decodeCursor(q.cursor, sort, dir);
+      if (!cursor) return bad('invalid cursor');
+    }
+
+    const supabase = await getClient();
+    // صف زائد لمعرفة وجود صفحة تالية
+    const { data, error } = await supabase.rpc('admin_search_sessions', {
+      p_query: query || null,
+      p_from: filters.from && filters.from.toISOString(),
+      p_to: filters.to && filters.to.toISOString(),
+      p_lang: filters.lang,
+      p_min_messages: filters.min_messages,
+      p_max_messages: filters.max_messages,
+      p_flagged: filters.flagged,
+      p_plan: filters.plan,
+      p_sort: sort,
+      p_desc: dir === 'desc',
+      p_after_value: cursor ? String(cursor.v) : null,
+      p_after_id: cursor ? cursor.id : null,
+      p_limit: limit + 1,
+    });
 
     if (error) throw error;
+    const sessions = data.slice(0, limit);
+    const last = sessions[sessions.length - 1];
+    const next_cursor = data.length > limit ? encodeCursor({ sort, dir, v: last[sort], id: last.session_id }) : null;
+
+    // البحث في نص المحادثات اطّلاع على محتواها → نص البحث يُسجَّل
+    await logAccess(event, auth.admin, query ? 'search_sessions' : 'list_sessions', {
+      details: { q: query || undefined, sort, dir, page: cursor ? 'next' : 'first', count: sessions.length, ...filters },
+    });
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ok: true, sessions: data }),
+      body: JSON.stringify({ ok: true, sessions, next_cursor }),
     };
   } catch (e) {
     console.error(e);
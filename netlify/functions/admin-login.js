@@ -0,0 +1,47 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { checkCredentials, issueToken, sessionCookie, requireRole, loginLocked, recordLogin, logAccess } = require('./_shared/admin-auth');
+
+// POST   { username, password } → cookie HttpOnly بتوكن قصير العمر + { user: { username, role }, expires_at }
+// GET    → المستخدم الحالي (401 لو لا يوجد توكن صالح)
+// DELETE → تسجيل خروج (مسح الـ cookie)
+exports.handler = async (event) => {
+  try {
+    connectBlobs(event);
+    const json = (statusCode, body, headers = {}) => ({
+      statusCode,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+      body: JSON.stringify(body),
+    });
+
+    if (event.httpMethod === 'GET') {
+      const auth = requireRole(event);
+      if (!auth.ok) return auth.response;
+      const { username, role, exp } = auth.admin;
+      return json(200, { ok: true, user: { username, role }, expires_at: new Date(exp * 1000).toISOString() });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      return json(200, { ok: true }, { 'Set-Cookie': sessionCookie(null) });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { username, password } = JSON.parse(event.body || '{}');
+      if (!username || !password) return { statusCode: 400, body: 'username and password required' };
+      if (await loginLocked(event)) return { statusCode: 429, body: 'Too many failed attempts, try again later' };
+
+      const user = checkCredentials(String(username), String(password));
+      await recordLogin(event, !!user);
+      if (!user) return { statusCode: 401, body: 'Invalid username or password' };
+
+      const token = issueToken(user);
+      await logAccess(event, user, 'login');
+      const { exp } = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+      return json(200, { ok: true, user, expires_at: new Date(exp * 1000).toISOString() }, { 'Set-Cookie': sessionCookie(token) });
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
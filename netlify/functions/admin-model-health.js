@@ -0,0 +1,53 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { resolveCandidates, parseTarget } = require('./_shared/providers');
+const { listHealth, orderCandidates, resetHealth, disableTarget } = require('./_shared/health');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+
+// GET  → حالة كل نموذج (closed/open/half_open، أخطاء، زمن) + ترتيب الـ pool الحالي بعد الـ circuit breaker
+// POST { target: "provider:model", action: "reset" | "disable", minutes? } → تصفير الحالة أو تعطيل يدوي (owner)
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, event.httpMethod === 'POST' ? 'owner' : 'read_only');
+    if (!auth.ok) return auth.response;
+    connectBlobs(event);
+
+    if (event.httpMethod === 'GET') {
+      const pool = resolveCandidates({});
+      const [models, ordered] = await Promise.all([listHealth(), orderCandidates(pool)]);
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify({
+          ok: true,
+          pool: pool.map(t => `${t.provider}:${t.model}`),
+          effective_order: ordered.map(t => `${t.provider}:${t.model}${t.probe ? ' (probe)' : ''}`),
+          models,
+        }),
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { target, action, minutes } = JSON.parse(event.body || '{}');
+      if (!target) return { statusCode: 400, body: 'target required' };
+      const t = parseTarget(target);
+      await logAccess(event, auth.admin, `model_${action}`, { details: { target, minutes } });
+
+      if (action === 'reset') {
+        await resetHealth(t);
+        return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ok: true, target, action }) };
+      }
+      if (action === 'disable') {
+        const m = Number(minutes) || 60;
+        if (!(m > 0 && m <= 7 * 24 * 60)) return { statusCode: 400, body: 'minutes must be between 1 and 10080' };
+        const entry = await disableTarget(t, m);
+        return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ok: true, target, action, entry }) };
+      }
+      return { statusCode: 400, body: 'action must be "reset" or "disable"' };
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,84 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+const {
+  VARIABLES, validId, renderTemplate, templateVars,
+  getActiveTemplate, getTemplateVersion, listHistory, listPersonas, publishTemplate,
+} = require('./_shared/personas');
+
+const MAX_TEMPLATE_CHARS = 60000;
+
+// GET                         → كل الشخصيات + المتغيرات المتاحة وقيمها الحالية من الإعدادات
+// GET ?id=coach[&version=N]   → القالب النشط (أو إصدار محدد) + سجل الإصدارات
+// POST { action: "render", template }                       → معاينة القالب بعد ملء المتغيرات (coach+)
+// POST { action: "publish", id, name, template, message? }  → نشر إصدار جديد (owner)
+// POST { action: "rollback", id, version }                  → إعادة نشر إصدار سابق كإصدار جديد (owner)
+exports.handler = async (event) => {
+  try {
+    let body = {};
+    if (event.httpMethod === 'POST') {
+      try { body = JSON.parse(event.body || '{}'); } catch { return { statusCode: 400, body: 'Invalid JSON' }; }
+    }
+    const minRole = event.httpMethod !== 'POST' ? 'read_only' : body.action === 'render' ? 'coach' : 'owner';
+    const auth = requireRole(event, minRole);
+    if (!auth.ok) return auth.response;
+    connectBlobs(event);
+
+    const json = (statusCode, payload) => ({
+      statusCode,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+      body: JSON.stringify(payload),
+    });
+
+    if (event.httpMethod === 'GET') {
+      const q = event.queryStringParameters || {};
+      if (!q.id) {
+        const [personas, vars] = await Promise.all([listPersonas(), templateVars()]);
+        return json(200, { ok: true, personas, variables: Object.keys(VARIABLES), values: vars });
+      }
+      if (!validId(q.id)) return { statusCode: 400, body: 'invalid id' };
+      const template = q.version ? await getTemplateVersion(q.id, parseInt(q.version, 10)) : await getActiveTemplate(q.id);
+      if (!template) return { statusCode: 404, body: 'persona not found' };
+      return json(200, { ok: true, id: q.id, template, history: await listHistory(q.id) });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (body.action === 'render') {
+        const out = renderTemplate(body.template, await templateVars());
+        return json(200, { ok: true, system: out.text.trim(), unknown: out.unknown, empty: out.empty, chars: out.text.length });
+      }
+
+      if (!validId(body.id)) return { statusCode: 400, body: 'id must match [a-z0-9_-]{2,32}' };
+
+      if (body.action === 'publish') {
+        if (typeof body.template !== 'string' || !body.template.trim()) return { statusCode: 400, body: 'template required' };
+        if (body.template.length > MAX_TEMPLATE_CHARS) return { statusCode: 400, body: `template exceeds ${MAX_TEMPLATE_CHARS} characters` };
+        const { unknown } = renderTemplate(body.template, {});
+        if (unknown.length) return json(422, { ok: false, error: 'Unknown template variables', unknown });
+
+        const entry = await publishTemplate(body.id, { name: body.name, template: body.template, author: auth.admin.username, message: body.message });
+        await logAccess(event, auth.admin, 'publish_persona', { details: { id: body.id, version: entry.version } });
+        const { template: _omit, ...summary } = entry;
+        return json(200, { ok: true, id: body.id, ...summary });
+      }
+
+      if (body.action === 'rollback') {
+        const source = await getTemplateVersion(body.id, parseInt(body.version, 10));
+        if (!source) return { statusCode: 404, body: 'version not found' };
+        const entry = await publishTemplate(body.id, {
+          name: source.name, template: source.template, author: auth.admin.username,
+          message: `rollback to v${source.version}`, rollbackOf: source.version,
+        });
+        await logAccess(event, auth.admin, 'rollback_persona', { details: { id: body.id, version: entry.version, rollback_of: source.version } });
+        const { template: _omit, ...summary } = entry;
+        return json(200, { ok: true, id: body.id, ...summary });
+      }
+
+      return { statusCode: 400, body: 'action must be "render", "publish" or "rollback"' };
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,48 @@
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+const { FIELDS, getProfile, updateProfile } = require('./_shared/profile');
+
+// الملف الشخصي المنظّم لجلسة (_shared/profile.js)
+// GET ?session_id=                         → { fields, labels } (read_only+)
+// PUT { session_id, fields: { key: value | null } } → تعديل/حذف حقول، source = admin (coach+)
+// report = قراءة من تقرير InBody/تحاليل (تُعرض فقط؛ يحفظها العميل بعد التأكيد)
+const LABELS = Object.fromEntries(Object.entries(FIELDS).map(([k, f]) => [k, { ar: f.ar, en: f.en, type: f.schema.type, enum: f.schema.enum, report: !!f.report }]));
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'PUT') return { statusCode: 405, body: 'Method Not Allowed' };
+    const auth = requireRole(event, event.httpMethod === 'PUT' ? 'coach' : 'read_only');
+    if (!auth.ok) return auth.response;
+
+    if (event.httpMethod === 'GET') {
+      const { session_id } = event.queryStringParameters || {};
+      if (!session_id) return { statusCode: 400, body: 'session_id required' };
+      const profile = await getProfile(session_id);
+      await logAccess(event, auth.admin, 'view_profile', { session_id, details: { fields: Object.keys(profile.fields || {}).length } });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ok: true, ...profile, labels: LABELS }),
+      };
+    }
+
+    const { session_id, fields } = JSON.parse(event.body || '{}');
+    if (!session_id) return { statusCode: 400, body: 'session_id required' };
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return { statusCode: 400, body: 'fields required' };
+    const unknown = Object.keys(fields).filter(k => !FIELDS[k]);
+    if (unknown.length) return { statusCode: 400, body: `unknown fields: ${unknown.join(', ')}` };
+
+    const result = await updateProfile(session_id, fields, { source: 'admin' }, auth.admin.username);
+    // قيمة غير صالحة لنوع الحقل لا تُحفظ (الباقي يُحفظ) → rejected في الرد بدل النجاح الصامت
+    const rejected = Object.keys(fields).filter(k => fields[k] !== null && fields[k] !== '' && !result.changed.includes(k) && !result.confirmed.includes(k));
+    await logAccess(event, auth.admin, 'edit_profile', { session_id, details: { changed: result.changed, rejected } });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ok: true, fields: result.fields, changed: result.changed, rejected }),
+    };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,52 @@
+const { getClient } = require('./_shared/supabase');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+
+// GET  ?status=open|all&flag=&session_id=&limit=100&before=<ts>  → أحداث السلامة الطبية (الأحدث أولًا)
+// POST { id, note?, reviewed? = true }                              → تعليم الحدث كمُراجَع (أو إعادة فتحه) (coach+)
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, event.httpMethod === 'POST' ? 'coach' : 'read_only');
+    if (!auth.ok) return auth.response;
+    const supabase = await getClient();
+
+    if (event.httpMethod === 'GET') {
+      const q = event.queryStringParameters || {};
+      const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+      let query = supabase.from('safety_events').select('*').order('ts', { ascending: false }).limit(limit);
+      if ((q.status || 'open') === 'open') query = query.eq('reviewed', false);
+      if (q.flag) query = query.contains('flags', [q.flag]);
+      if (q.session_id) query = query.eq('session_id', q.session_id);
+      if (q.before) query = query.lt('ts', q.before);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      await logAccess(event, auth.admin, 'list_safety_events', { session_id: q.session_id || null, details: { count: data.length } });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify({ ok: true, events: data }),
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { id, note, reviewed = true } = JSON.parse(event.body || '{}');
+      if (!id) return { statusCode: 400, body: 'id required' };
+
+      const { data, error } = await supabase.from('safety_events')
+        .update(reviewed
+          ? { reviewed: true, reviewed_at: new Date().toISOString(), reviewed_by: auth.admin.username, review_note: note || null }
+          : { reviewed: false, reviewed_at: null, reviewed_by: null })
+        .eq('id', id)
+        .select()
+        .single();
+      if (error) throw error;
+      await logAccess(event, auth.admin, reviewed ? 'review_safety_event' : 'reopen_safety_event', { session_id: data.session_id, details: { id } });
+      return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ok: true, event: data }) };
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,49 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { LIMITS, getBudget, setBudget, getUsage } = require('./_shared/quota');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+
+// GET  ?session_id=...  → الميزانية الحالية + استهلاك اليوم
+// POST { session_id, daily_tokens?, rpm?, burst?, blocked?, note? } → حفظ إعدادات الجلسة (owner)
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, event.httpMethod === 'POST' ? 'owner' : 'read_only');
+    if (!auth.ok) return auth.response;
+    connectBlobs(event);
+
+    if (event.httpMethod === 'GET') {
+      const session_id = (event.queryStringParameters || {}).session_id;
+      if (!session_id) return { statusCode: 400, body: 'session_id required' };
+
+      const [budget, usage] = await Promise.all([getBudget(session_id), getUsage('session', session_id)]);
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ok: true, session_id, defaults: LIMITS.session, budget, usage_today: usage }),
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { session_id, daily_tokens, rpm, burst, blocked, note } = JSON.parse(event.body || '{}');
+      if (!session_id) return { statusCode: 400, body: 'session_id required' };
+
+      const positive = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+      const budget = { daily_tokens: positive(daily_tokens), rpm: positive(rpm), burst: positive(burst), blocked: !!blocked, note: note ? String(note).slice(0, 500) : null };
+      if ([budget.daily_tokens, budget.rpm, budget.burst].some(v => v !== null && !(v > 0))) {
+        return { statusCode: 400, body: 'daily_tokens, rpm, burst must be positive numbers' };
+      }
+
+      await setBudget(session_id, budget);
+      await logAccess(event, auth.admin, 'update_budget', { session_id, details: budget });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ok: true, session_id, budget }),
+      };
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
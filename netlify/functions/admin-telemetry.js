@@ -0,0 +1,57 @@
+const { getClient } = require('./_shared/supabase');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+
+// GET ?view=summary&days=14            → تجميع يومي + لكل نموذج (من views: ai_requests_daily / ai_requests_by_model)
+// GET ?view=requests&limit=100&session_id=&model=&status=error&before=<ts>  → آخر الطلبات (كل صف مرتبط بجلسته)
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, 'read_only');
+    if (!auth.ok) return auth.response;
+    if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const q = event.queryStringParameters || {};
+    const supabase = await getClient();
+
+    if ((q.view || 'summary') === 'summary') {
+      const days = Math.min(Math.max(parseInt(q.days, 10) || 14, 1), 90);
+      const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+
+      const [daily, byModel] = await Promise.all([
+        supabase.from('ai_requests_daily').select('*').gte('day', since).order('day', { ascending: false }),
+        supabase.from('ai_requests_by_model').select('*').gte('day', since).order('day', { ascending: false }),
+      ]);
+      if (daily.error) throw daily.error;
+      if (byModel.error) throw byModel.error;
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify({ ok: true, since, daily: daily.data, by_model: byModel.data }),
+      };
+    }
+
+    if (q.view === 'requests') {
+      const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+      let query = supabase.from('ai_requests').select('*').order('ts', { ascending: false }).limit(limit);
+      if (q.session_id) query = query.eq('session_id', q.session_id);
+      if (q.model) query = query.eq('model', q.model);
+      if (q.status === 'error') query = query.gte('status', 400);
+      if (q.before) query = query.lt('ts', q.before);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      if (q.session_id) await logAccess(event, auth.admin, 'view_session_telemetry', { session_id: q.session_id });
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify({ ok: true, requests: data }),
+      };
+    }
+
+    return { statusCode: 400, body: 'view must be "summary" or "requests"' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
@@ -0,0 +1,30 @@
+const { calculate } = require('./_shared/calc');
+
+// POST { profile?: { sex, age, weight, weight_unit, height, height_unit, body_fat_pct?, activity?, goal? },
+//        lift?: { weight, reps, unit }, convert?: [{ value, from, to }] }
+// → BMR (Mifflin/Harris-Benedict/Katch-McArdle) + TDEE + سعرات لكل هدف + ماكروز + 1RM + جدول RPE
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers, body: '' };
+  if (event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+
+  let input;
+  try { input = JSON.parse(event.body || '{}'); } catch {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+  }
+
+  try {
+    const result = calculate(input);
+    if (result.errors) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid input', errors: result.errors }) };
+    return { statusCode: 200, headers, body: JSON.stringify({ ok: true, ...result }) };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: e.message || 'Server error' }) };
+  }
+};
@@ -1,13 +1,24 @@
 // netlify/functions/chat.js
-import crypto from "crypto";
+// قراءة/كتابة رسائل جلسة واحدة بطلب موقّع (البروتوكول والتحقق: _shared/session-auth.js)
+// rawBody الموقّع = نص الـ JSON كما أُرسل (role + text + images + client_id)؛ GET → ""
+// GET يرجّع كل رسائل الجلسة (لاستعادة السجل على جهاز آخر ودمجه بالـ client_id)
+// الصور: POST يستقبل data URLs ويخزّنها في Storage (_shared/images.js)؛ الصف يحفظ المراجع فقط
+//        وGET يرجّعها مع روابط موقّعة قصيرة العمر (url / thumb_url)
+// رسائل المدرب البشري (role = coach) تُكتب من admin-coach-session فقط؛ العميل يجلبها بـ GET دوري
+// ai_paused في كل رد: العميل لا يطلب رد الذكاء الاصطناعي طالما المدرب يتابع (migrations/009_coach_takeover.sql)
+// كل رسالة نصية من العميل تُرسل لاستخراج الملف الشخصي في الخلفية (_shared/profile.js)
+import { authenticate } from "./_shared/session-auth.js";
+import { validateImage, storeImage, withSignedUrls } from "./_shared/images.js";
+import { requestExtraction } from "./_shared/profile.js";
 
 const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY: SRK } = process.env;
 
-const SESSIONS = `${SUPABASE_URL}/rest/v1/sessions`;
 const MESSAGES = `${SUPABASE_URL}/rest/v1/messages`;
 
-const sha256hex = (s) =>
-  crypto.createHash("sha256").update(s).digest("hex");
+const MAX_TEXT_CHARS = 50000;
+const MAX_IMAGES = 5;
+const ROLES = new Set(["user", "assistant"]); // coach من لوحة التحكم فقط
+const CLIENT_ID = /^[A-Za-z0-9._:-]{1,100}$/; // معرّف الرسالة المحلي (migrations/005_message_client_ids.sql)
 
 const ok = (b) => ({
   statusCode: 200,
@@ -16,84 +27,68 @@ const ok = (b) => ({
 });
 const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
 
-// تحميل secret_hash للجلسة
-async function getSecretHash(session_id) {
-  const url = `${SESSIONS}?id=eq.${encodeURIComponent(
-    session_id
-  )}&select=secret_hash`;
-  const r = await fetch(url, {
-    headers: { apikey: SRK, Authorization: `Bearer ${SRK}` },
+const rest = (url, init = {}) =>
+  fetch(url, {
+    ...init,
+    headers: { apikey: SRK, Authorization: `Bearer ${SRK}`, "Content-Type": "application/json", ...init.headers },
   });
-  if (!r.ok) throw new Error(`fetch session failed: ${await r.text()}`);
-  const [row] = await r.json();
-  if (!row) throw new Error("session_not_found");
-  return row.secret_hash;
-}
-
-// التحقق من التوقيع
-function verify({ session_id, timestamp, bodyText, signature, secret_hash, proof }) {
-  // مهلة 5 دقائق
-  if (!timestamp || Math.abs(Date.now() - Number(timestamp)) > 5 * 60 * 1000)
-    return false;
-
-  // يجب أن يكون hash(proof) == secret_hash
-  if (sha256hex(proof) !== secret_hash) return false;
-
-  // signature = sha256(session_id + proof + timestamp + bodyText)
-  const expect = sha256hex(session_id + proof + timestamp + bodyText);
-  return expect === signature;
-}
 
 export async function handler(event) {
   try {
-    if (event.httpMethod === "GET") {
-      const { session_id, proof, timestamp, signature } =
-        event.queryStringParameters || {};
-      if (!session_id || !proof || !timestamp || !signature)
-        return bad("missing_params");
+    if (event.httpMethod !== "GET" && event.httpMethod !== "POST")
+      return { statusCode: 405, body: "Method Not Allowed" };
 
-      const secret_hash = await getSecretHash(session_id);
-      if (!verify({ session_id, timestamp, bodyText: "", signature, secret_hash, proof }))
-        return bad("invalid_signature", 401);
+    const auth = await authenticate(event);
+    if (auth.error) return auth.error;
+    const { session_id, bodyText, ai_paused } = auth;
 
+    if (event.httpMethod === "GET") {
       const url = `${MESSAGES}?session_id=eq.${encodeURIComponent(
         session_id
-      )}&select=id,role,text,images,ts&order=ts.asc`;
-      const r = await fetch(url, {
-        headers: { apikey: SRK, Authorization: `Bearer ${SRK}` },
-      });
+      )}&select=id,client_id,role,text,images,ts&order=ts.asc`;
+      const r = await rest(url);
       if (!r.ok) throw new Error(await r.text());
       const data = await r.json();
-      return ok({ messages: data });
+      return ok({ messages: await withSignedUrls(session_id, data), ai_paused });
     }
 
-    if (event.httpMethod === "POST") {
-      const { session_id, proof, timestamp, signature, role, text, images = [] } =
-        JSON.parse(event.body || "{}");
-
-      if (!session_id || !proof || !timestamp || !signature || !role || !text)
-        return bad("missing_params");
-
-      const secret_hash = await getSecretHash(session_id);
-      if (!verify({ session_id, timestamp, bodyText: text, signature, secret_hash, proof }))
-        return bad("invalid_signature", 401);
-
-      const r = await fetch(MESSAGES, {
-        method: "POST",
-        headers: {
-          apikey: SRK,
-          Authorization: `Bearer ${SRK}`,
-          "Content-Type": "application/json",
-          Prefer: "return=representation",
-        },
-        body: JSON.stringify([{ session_id, role, text, images }]),
-      });
-      if (!r.ok) throw new Error(await r.text());
-      return ok({ ok: true });
+    let payload;
+    try { payload = JSON.parse(bodyText || "{}"); } catch { return bad("invalid_json"); }
+    const { role, text = "", images = [], client_id = null } = payload;
+
+    if (!ROLES.has(role)) return bad("invalid_role");
+    if (client_id !== null && (typeof client_id !== "string" || !CLIENT_ID.test(client_id))) return bad("invalid_client_id");
+    if (typeof text !== "string" || text.length > MAX_TEXT_CHARS) return bad("invalid_text");
+    if (!Array.isArray(images) || images.length > MAX_IMAGES || images.some((i) => typeof i !== "string"))
+      return bad("invalid_images");
+    const imageError = images.map(validateImage).find(Boolean);
+    if (imageError) return bad(imageError);
+    if (!text.trim() && !images.length) return bad("empty_message");
+
+    // بالتتابع: نفس الصورة مرتين في رسالة واحدة تُرفع مرة واحدة
+    // صورة لا تُقرأ لا تُخزَّن وتُعاد في rejected (نفس شكل rejected_attachments في gemini-proxy)
+    const refs = [];
+    const rejected = [];
+    for (const [index, dataUrl] of images.entries()) {
+      const ref = await storeImage(session_id, dataUrl);
+      if (ref) refs.push(ref);
+      else rejected.push({ kind: "image", index, reason: "unreadable" });
     }
-
-    return { statusCode: 405, body: "Method Not Allowed" };
+    if (!text.trim() && !refs.length) return bad("unreadable_image", 422);
+
+    const r = await rest(MESSAGES, {
+      method: "POST",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify([{ session_id, client_id, role, text, images: refs, ts: Date.now() }]),
+    });
+    // إعادة إرسال نفس الرسالة (نفس client_id) → لا تكرار
+    if (r.status === 409 && client_id) return ok({ ok: true, duplicate: true, images: refs, rejected, ai_paused });
+    if (!r.ok) throw new Error(await r.text());
+    const [message] = await r.json();
+    if (role === "user" && text.trim() && message) await requestExtraction(session_id, message.id);
+    return ok({ ok: true, id: message && message.id, images: refs, rejected, ai_paused });
   } catch (e) {
+    console.error(e);
     return bad(e.message, 500);
   }
 }
@@ -0,0 +1,47 @@
+const { authenticate } = require('./_shared/session-auth');
+const { FORM_FIELDS, getProfile, updateProfile, reportUpdates } = require('./_shared/profile');
+
+// الملف الشخصي المنظّم بطلب موقّع من صاحب الجلسة (/api/profile):
+//   GET → { fields }  (القيم مع المصدر وآخر تأكيد؛ يغذّي ملخص الحالة في المحادثة)
+//   PUT { fields: { name, age, country } } → حفظ بيانات الشاشة الأولى (source = form)
+//   PUT { report: { metrics, report_date } } → قيم InBody/التحاليل التي أكّدها العميل من رد report_extract (source = report)
+//   باقي الحقول تُستخرج من المحادثة فقط (_shared/profile.js) أو يعدّلها المدرب من لوحة التحكم
+const ok = (b) => ({ statusCode: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }, body: JSON.stringify(b) });
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'PUT') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const auth = await authenticate(event);
+    if (auth.error) return auth.error;
+    const { session_id, bodyText } = auth;
+
+    if (event.httpMethod === 'GET') {
+      const profile = await getProfile(session_id);
+      return ok({ fields: profile.fields || {}, updated_at: profile.updated_at });
+    }
+
+    let payload;
+    try { payload = JSON.parse(bodyText || '{}'); } catch { return bad('invalid_json'); }
+    if (payload.report) {
+      if (typeof payload.report !== 'object' || !Array.isArray(payload.report.metrics)) return bad('invalid_report');
+      const { updates, quotes } = reportUpdates(payload.report.metrics, payload.report.report_date);
+      if (!Object.keys(updates).length) return bad('no_known_metrics');
+      const result = await updateProfile(session_id, updates, { source: 'report', quotes }, 'client');
+      // قيمة خارج نوع/مدى الحقل لا تُحفظ → rejected بدل النجاح الصامت
+      const rejected = Object.keys(updates).filter(k => !result.changed.includes(k) && !result.confirmed.includes(k));
+      return ok({ ok: true, fields: result.fields, changed: result.changed, confirmed: result.confirmed, rejected });
+    }
+
+    const fields = payload.fields;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return bad('invalid_fields');
+    const updates = Object.fromEntries(FORM_FIELDS.filter(k => k in fields).map(k => [k, fields[k]]));
+
+    const result = await updateProfile(session_id, updates, { source: 'form' }, 'client');
+    return ok({ ok: true, fields: result.fields, changed: result.changed });
+  } catch (e) {
+    console.error(e);
+    return bad(e.message, 500);
+  }
+};
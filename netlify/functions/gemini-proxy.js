@@ -1,45 +1,67 @@
 // netlify/functions/gemini-proxy.js
-// Pro-first, accuracy-tuned Gemini proxy with auto-continue for long answers,
+// Pro-first, accuracy-tuned LLM proxy with auto-continue for long answers,
 // strict language mirroring (AR/EN), anti-hallucination guard, streaming, retries.
+// المزوّد (Gemini / OpenAI-compatible / Ollama) يُختار عبر _shared/providers مع fallback بينهم.
+
+const { stream: streamResponse } = require("@netlify/functions");
+const { getAdapter, resolveCandidates } = require("./_shared/providers");
+const { connectBlobs } = require("./_shared/blobs");
+const { clientIp, checkOrigin, checkQuota, recordUsage } = require("./_shared/quota");
+const responseCache = require("./_shared/cache");
+const { getStructuredMode } = require("./_shared/structured");
+const { getPersona } = require("./_shared/personas");
+const { DEFAULT_BUDGET: HISTORY_TOKEN_BUDGET, assembleHistory } = require("./_shared/history");
+const { recordResult, orderCandidates } = require("./_shared/health");
+const { startTelemetry, finishTelemetry } = require("./_shared/telemetry");
+const medicalSafety = require("./_shared/safety");
+const { normalizeImage } = require("./_shared/media");
+const { authenticate } = require("./_shared/session-auth");
 
 const MAX_TRIES = 3;
 const BASE_BACKOFF_MS = 600;
 const MAX_OUTPUT_TOKENS_HARD = 8192;       // أقصى ما ندفعه للنموذج
 const DEFAULT_TIMEOUT_MS = 28000;          // ضمن سقف Netlify
+const MAX_STRUCTURED_REPAIRS = 2;          // محاولات إصلاح JSON غير المطابق للـ schema
+const SUMMARY_TIMEOUT_MS = 8000;           // تلخيص الأدوار القديمة لا يأكل ميزانية الرد
 const SAFE_TEMP_RANGE = [0.0, 1.0];
 const SAFE_TOPP_RANGE = [0.0, 1.0];
 
 // Media limits
 const MAX_INLINE_BYTES = 15 * 1024 * 1024;
-const ALLOWED_IMAGE = /^image\/(png|jpe?g|webp|gif|bmp|svg\+xml)$/i;
+const ALLOWED_IMAGE = /^image\/(png|jpe?g|webp|gif|bmp|svg\+xml)$/i; // HEIC/HEIF: لا يفكّها sharp → unsupported_type
 const ALLOWED_AUDIO = /^audio\/(webm|ogg|mp3|mpeg|wav|m4a|aac|3gpp|3gpp2|mp4)$/i;
+const TRANSCRIBE_TIMEOUT_MS = 20000;
+const NO_SPEECH = "[NO_SPEECH]";            // علامة المقطع الصامت من النموذج → text فارغ للعميل
+
+// streamResponse يسمح بإرجاع ReadableStream كـ body (بث حقيقي بدل تجميع الرد)
+// كل طلب يُسجَّل كصف telemetry؛ البث يُسجَّل عند نهايته (tel.deferred)
+// خطأ غير متوقع (Blobs/Supabase/...) → 500 JSON بنفس شكل باقي الأخطاء بدل رد Lambda الخام
+exports.handler = streamResponse(async (event) => {
+  const tel = startTelemetry();
+  let res;
+  try {
+    res = await handleRequest(event, tel);
+  } catch (e) {
+    console.error(`[${tel.requestId}] unhandled error:`, e);
+    tel.deferred = false; // البث لم يبدأ → لن يُسجَّل عند نهايته
+    res = resp(500, jsonHeaders(checkOrigin(event).allowOrigin, tel.requestId), { error: "Internal error", requestId: tel.requestId });
+  }
+  if (!tel.deferred) await finishTelemetry(tel, res.statusCode);
+  return res;
+});
 
-// --- Pro-first pool لرفع الدقة ---
-const MODEL_POOL = [
-  "gemini-1.5-pro",
-  "gemini-1.5-pro-latest",
-  "gemini-2.0-flash",
-  "gemini-1.5-flash",
-  "gemini-2.0-flash-exp",
-];
-
-exports.handler = async (event) => {
-  const reqStart = Date.now();
-  const requestId = (Math.random().toString(36).slice(2) + Date.now().toString(36)).toUpperCase();
-
-  const baseHeaders = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Content-Type": "application/json",
-    "X-Request-ID": requestId
-  };
+async function handleRequest(event, tel) {
+  const reqStart = tel.start;
+  const requestId = tel.requestId;
 
-  if (event.httpMethod === "OPTIONS") return { statusCode: 204, headers: baseHeaders, body: "" };
-  if (event.httpMethod !== "POST") return resp(405, baseHeaders, { error: "Method Not Allowed" });
+  connectBlobs(event);
+  const origin = checkOrigin(event);
+
+  const baseHeaders = jsonHeaders(origin.allowOrigin, requestId);
 
-  const API_KEY = process.env.GEMINI_API_KEY;
-  if (!API_KEY) return resp(500, baseHeaders, { error: "GEMINI_API_KEY is missing" });
+  if (event.httpMethod === "OPTIONS") { tel.skip = true; return { statusCode: 204, headers: baseHeaders, body: "" }; }
+  if (event.httpMethod !== "POST") return resp(405, baseHeaders, { error: "Method Not Allowed" });
+  if (!origin.ok) return resp(403, baseHeaders, { error: "Origin not allowed", requestId });
 
   // Parse
   let payload;
@@ -51,17 +73,22 @@ exports.handler = async (event) => {
     messages,
     images,
     audio,
-    model = "auto",
+    model = "auto",             // "auto" | "model" | "provider:model"
+    provider,                   // "gemini" | "openai" | "ollama" (حصر الـ fallback في مزوّد واحد)
     temperature,
     top_p,
     max_output_tokens,
     system,
+    persona,                    // "coach" → systemInstruction يُبنى على السيرفر
+    context,                    // string | string[] سياق إضافي من العميل (ملخص الحالة، أرقام /api/calc)
+    max_history_tokens,         // ميزانية السجل؛ الأقدم يُلخَّص
     stream = false,
     timeout_ms = DEFAULT_TIMEOUT_MS,
     include_raw = false,
+    cache = "default",          // "default" | "bypass" (تجاهل الكاش وطلب رد جديد)
 
     // دوال الضبط
-    mode,                       // "default" | "qa" | "image_brief"
+    mode,                       // "default" | "qa" | "image_brief" | "plan_json" | "workout_json" | "meal_json" | "checkin_json" | "transcribe"
     force_lang,                 // "ar" | "en"
     concise_image,              // boolean
     guard_level = "strict",     // "relaxed" | "strict"
@@ -71,136 +98,347 @@ exports.handler = async (event) => {
     max_chunks = 4              // أقصى عدد دفعات للتكملة داخل نفس الطلب
   } = payload || {};
 
-  if (!prompt && !Array.isArray(messages)) {
+  if (!prompt && !Array.isArray(messages) && mode !== "transcribe") {
     return resp(400, baseHeaders, { error: "Missing prompt or messages[]" });
   }
 
   timeout_ms = clampNumber(timeout_ms, 1000, 29000, DEFAULT_TIMEOUT_MS);
+  Object.assign(tel, { mode: mode || null, persona: persona || null, stream: !!stream });
+
+  // الإخراج المنظّم يحتاج الرد كاملًا للتحقق منه → بدون بث وبدون تكملة تلقائية
+  const structured = getStructuredMode(mode);
+  if (structured) { stream = false; long = false; }
+
+  const personaDef = persona ? await getPersona(persona) : null;
+  if (persona && !personaDef) return resp(400, baseHeaders, { error: `Unknown persona: ${persona}`, requestId });
+  if (personaDef) tel.persona = `${personaDef.id}@v${personaDef.version}`;
+
+  // --------- حدود الاستخدام (rate + ميزانية يومية) ----------
+  // حدود/ميزانية/حظر الجلسة على session id موثّق فقط (توقيع session-auth عبر signedFetch)؛ غير ذلك = حدود anon
+  const sessionId = await signedSessionId(event);
+  tel.session_id = sessionId;
+  const quota = await checkQuota({ sessionId, ip: clientIp(event) });
+  if (!quota.ok) {
+    return resp(429, { ...baseHeaders, "Retry-After": String(quota.retryAfter) },
+      { error: "Rate limit exceeded", reason: quota.reason, retry_after_s: quota.retryAfter, requestId });
+  }
+
+  // تفريغ مقطع صوتي لنص (بديل Web Speech API في المتصفحات التي لا تدعمه): بدون persona/سجل/كاش
+  if (mode === "transcribe") {
+    return transcribe({ audio, force_lang, model, provider, timeout_ms, quota, tel, headers: baseHeaders, requestId, reqStart });
+  }
 
   // --------- لغة المستخدم + حراسة ----------
   const contentPreview = textPreview(prompt || messages?.map(m=>m?.content||"").join("\n"));
   const lang = chooseLang(force_lang, contentPreview);
+  tel.lang = lang;
   const hasTopImages  = Array.isArray(images) && images.length > 0;
   const hasAnyImages  = hasTopImages || !!(Array.isArray(messages) && messages.some(m=>Array.isArray(m.images) && m.images.length));
-  const useImageBrief = concise_image === true || mode === "image_brief" || hasAnyImages;
+  // الأوضاع المنظّمة (report_extract مع صوره، plan_json...) ترد JSON فقط: لا تعليمة "نقاط مختصرة" ولا سقف توكنز الصور
+  const useImageBrief = !structured && (concise_image === true || mode === "image_brief" || hasAnyImages);
 
   const guard = buildGuardrails({ lang, useImageBrief, level: guard_level });
 
-  const contents = Array.isArray(messages)
-    ? normalizeMessagesWithMedia(messages, guard)
-    : [{ role: "user", parts: buildParts(wrapPrompt(prompt, lang, useImageBrief, guard), images, audio) }];
+  // messages[] → الحراسة في systemInstruction (لا تضيع لو أول رسالة خرجت من الميزانية)
+  // المرفقات المرفوضة لا تُسقط بصمت: تُعاد للعميل مع السبب في كل رد ناجح (rejected_attachments)
+  const rejected = [];
+  const normalized = Array.isArray(messages)
+    ? await normalizeMessagesWithMedia(messages, rejected)
+    : [{ role: "user", parts: await buildParts(wrapPrompt(prompt, lang, useImageBrief, guard), images, audio, rejected) }];
+  const mediaInfo = rejectedInfo(rejected);
+
+  const sseHeaders = {
+    ...baseHeaders,
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive"
+  };
 
-  const generationConfig = tuneGeneration({ temperature, top_p, max_output_tokens, useImageBrief, mode });
-  const safetySettings   = buildSafety(guard_level);
+  // --------- سلامة طبية: red flags في رسائل العميل → سياسات، والحالات الحادة ترد بدون النموذج ----------
+  const medical = medicalSafety.assess(Array.isArray(messages)
+    ? normalized.filter(m => m.role === "user").map(m => m.parts.map(p => p.text || "").join("\n"))
+    : [prompt]);
+  const safetyInfo = medical ? { flags: medical.flags.map(f => f.id), policies: medical.policies } : undefined;
+  const auditSafety = (action, amendments) => medicalSafety.recordSafetyEvent(medical, { requestId, sessionId, action, amendments });
+  if (medical && medical.urgent) {
+    const entry = { text: medicalSafety.urgentResponse(medical, lang), model: "safety-policy", provider: "safety", lang };
+    Object.assign(tel, { provider: entry.provider, model: entry.model });
+    await auditSafety("short_circuit");
+    return stream
+      ? { statusCode: 200, headers: sseHeaders, body: replayBody(entry, { requestId, cache: "bypass", reqStart, rejected }) }
+      : resp(200, baseHeaders, { ...entry, ...mediaInfo, safety: { ...safetyInfo, action: "short_circuit" }, requestId, took_ms: Date.now() - reqStart });
+  }
+
+  const resolved = resolveCandidates({ model, provider });
+  if (!resolved.length) return resp(500, baseHeaders, { error: "No LLM provider configured", requestId });
+  // circuit breaker: تخطّي النماذج المعطلة + ترتيب حسب الزمن الأخير (probe = محاولة واحدة لنموذج half-open)
+  const candidates = await orderCandidates(resolved, { kind: stream ? "stream" : "json", pinFirst: !!model && model !== "auto" });
+  // عدد المحاولات: probe مرة واحدة، ومع وجود بديل لا نستهلك الوقت في retries
+  const triesFor = (target, mi) => target.probe ? 1 : (mi < candidates.length - 1 ? 2 : MAX_TRIES);
+
+  const contextLines = (Array.isArray(context) ? context : [context]).filter(c => typeof c === "string" && c.trim());
+  const baseSystem = [
+    personaDef ? personaDef.system : "",
+    Array.isArray(messages) ? guardBlock(lang, guard) : "",
+    typeof system === "string" ? system : "",
+    ...normalized.filter(m => m.role === "system").map(m => m.parts.map(p => p.text || "").join("\n")),
+    ...contextLines,
+    medicalSafety.systemInstruction(medical, lang)
+  ];
+  const chatMessages = normalized.filter(m => m.role !== "system");
+  const historyBudget = clampNumber(max_history_tokens, 2000, 200000, HISTORY_TOKEN_BUDGET);
+  const generation = tuneGeneration({ temperature, top_p, max_output_tokens, useImageBrief, mode });
+
+  // --------- Cache + دمج الطلبات المتطابقة ----------
+  // المفتاح من الرسائل الخام + الميزانية (قبل التلخيص): الـ hit لا يستدعي نموذج التلخيص ولا يعتمد على ملخص الجلسة
+  const cacheKey = responseCache.cacheKey({
+    model, provider, system: baseSystem, messages: chatMessages, history_budget: historyBudget,
+    generation, safety: guard_level, mode, lang, long
+  });
+  let cacheStatus = cache === "bypass" ? "bypass" : "miss";
+  let claimed = false;
+  if (cacheStatus !== "bypass") {
+    let hit = await responseCache.lookup(cacheKey);
+    if (hit) cacheStatus = "hit";
+    else if (!(claimed = await responseCache.claim(cacheKey, requestId))) {
+      hit = await responseCache.waitFor(cacheKey, timeBudgetLeft(reqStart, timeout_ms) - 5000);
+      if (hit) cacheStatus = "coalesced";
+    }
+    if (hit) {
+      Object.assign(tel, { cache: cacheStatus, provider: hit.provider, model: hit.model, plan_status: structured?.kind === "plan" ? hit.json?.status : null }); // بدون usage: لم تُستهلك توكنز
+      if (medical) await auditSafety("cached");
+      return stream
+        ? { statusCode: 200, headers: { ...sseHeaders, "X-Cache": cacheStatus }, body: replayBody(hit, { requestId, cache: cacheStatus, reqStart, rejected }) }
+        : resp(200, { ...baseHeaders, "X-Cache": cacheStatus }, { ...hit, ...mediaInfo, safety: safetyInfo, cache: cacheStatus, requestId, took_ms: Date.now() - reqStart });
+    }
+  }
 
-  const systemInstruction = (system && typeof system === "string")
-    ? { role: "system", parts: [{ text: system } ] }
-    : undefined;
+  // --------- سجل ضمن ميزانية التوكنز + ملخص تراكمي للأقدم ----------
+  // الملخص يدخل systemInstruction: يُقرأ ويُكتب للجلسة الموثّقة فقط (المجهول يُلخَّص بدون تخزين)
+  const history = await assembleHistory({
+    sessionId,
+    messages: chatMessages,
+    budget: historyBudget,
+    lang,
+    summarize: async (sys, text) => {
+      const out = await summarizeOnce(candidates[0], sys, text, Math.min(SUMMARY_TIMEOUT_MS, timeBudgetLeft(reqStart, timeout_ms) / 3));
+      if (out) await recordUsage(quota.ctx, out.usage);
+      return out && out.text;
+    }
+  });
+
+  // الصيغة الموحّدة التي يترجمها كل adapter لصيغة مزوّده
+  const llmRequest = {
+    system: [
+      ...baseSystem,
+      history.summary ? `${lang === "ar" ? "ملخص ما سبق من المحادثة (حقائق يجب تذكرها):" : "Summary of earlier conversation (facts to remember):"}\n${history.summary}` : ""
+    ].filter(s => s && s.trim()).join("\n\n") || undefined,
+    messages: history.messages,
+    generation,
+    safety: guard_level
+  };
+  if (structured) {
+    llmRequest.system = [llmRequest.system, structured.instruction(lang)].filter(Boolean).join("\n\n");
+    llmRequest.responseSchema = structured.schema;
+  }
+  // مخالفة سياسة السلامة في الخطة (سعرات أقل من الحد أو عجز أكبر من المسموح، مكمل محظور) = خطأ تحقق يدخل حلقة الإصلاح
+  // TDEE من سطر حسابات /api/calc الذي يرسله العميل في context
+  const contextTdee = +((contextLines.join("\n").match(/\bTDEE:\s*(\d{3,5})\s*kcal/) || [])[1]) || null;
+  const structuredChecked = structured && medical ? {
+    ...structured,
+    parse: (text) => {
+      const checked = structured.parse(text);
+      const errors = checked.ok ? medicalSafety.checkPlan(medical, checked.value, { tdee: contextTdee }) : [];
+      return errors.length ? { ok: false, errors } : checked;
+    }
+  } : structured;
 
-  const candidates = (model === "auto" || !model)
-    ? [...MODEL_POOL]
-    : Array.from(new Set([model, ...MODEL_POOL]));
+  // يحفظ الرد الناجح (حتى مع bypass لتحديث الكاش) ويرفع علامة inflight
+  tel.cache = cacheStatus;
+  const settleCache = async (value) => {
+    if (value) await responseCache.save(cacheKey, value);
+    if (claimed) await responseCache.release(cacheKey);
+  };
 
   // ======= STREAM (SSE) =======
+  // أحداث: meta → delta* → end | error. إلغاء العميل يقطع الاتصال بالنموذج.
   if (stream) {
-    const headers = {
-      ...baseHeaders,
-      "Content-Type": "text/event-stream; charset=utf-8",
-      "Cache-Control": "no-cache, no-transform",
-      "Connection": "keep-alive"
-    };
     for (let mi = 0; mi < candidates.length; mi++) {
-      const m = candidates[mi];
-      const url = makeUrl(m, true, API_KEY);
-      const body = JSON.stringify({ contents, generationConfig, safetySettings, ...(systemInstruction ? { systemInstruction } : {}) });
+      const target = candidates[mi];
+      const adapter = getAdapter(target.provider);
 
-      const sseOnce = await tryStreamOnce(url, body, timeout_ms);
+      const t0 = Date.now();
+      tel.models_tried.push(`${target.provider}:${target.model}`);
+      const sseOnce = await tryStreamOnce(adapter.buildRequest(target.model, llmRequest, { stream: true }), timeBudgetLeft(reqStart, timeout_ms), triesFor(target, mi));
+      await recordResult(target, healthOutcome(sseOnce, Date.now() - t0), "stream");
       if (sseOnce.ok) {
-        const reader = sseOnce.response.body.getReader();
-        const encoder = new TextEncoder();
+        Object.assign(tel, { deferred: true, provider: target.provider, model: target.model });
+        let amendments = [];
         return {
           statusCode: 200,
-          headers,
-          body: await streamBody(async function* () {
-            yield encoder.encode(`event: meta\ndata: ${JSON.stringify({ requestId, model: m, lang })}\n\n`);
-            let buffer = "";
-            while (true) {
-              const { value, done } = await reader.read();
-              if (done) break;
-              buffer += Buffer.from(value).toString("utf8");
-              const lines = buffer.split("\n");
-              buffer = lines.pop() || "";
-              for (const line of lines) {
-                const trimmed = line.trim();
-                if (!trimmed) continue;
-                yield encoder.encode(`event: chunk\ndata: ${trimmed}\n\n`);
-              }
+          headers: { ...sseHeaders, "X-Cache": cacheStatus },
+          body: sseBody(sseOnce.response, sseOnce.abort, adapter, {
+            requestId, model: target.model, provider: target.provider, lang, reqStart, rejected,
+            // ملاحظات السلامة تُبث كـ delta أخير قبل end (والكاش يحفظ النص بعد الإضافة)
+            amend: medical ? (text) => {
+              const out = medicalSafety.amendOutput(medical, text, lang);
+              amendments = out.amendments;
+              return out.extra;
+            } : null,
+            onEnd: async ({ usage, text, error, cancelled }) => {
+              if (error && !cancelled) await recordResult(target, { ok: false, status: 0, error }, "stream");
+              await recordUsage(quota.ctx, usage);
+              await settleCache(!error && !cancelled && text ? { text, model: target.model, provider: target.provider, lang, usage } : null);
+              tel.usage = usage;
+              if (medical) await auditSafety(amendments.length ? "amended" : "instructed", amendments);
+              await finishTelemetry(tel, 200, { error_category: cancelled ? "cancelled" : error ? "stream_error" : null });
             }
-            yield encoder.encode(`event: end\ndata: ${JSON.stringify({ model: m, took_ms: Date.now() - reqStart })}\n\n`);
           })
         };
       }
+      tel.error_category = failureCategory(sseOnce);
       if (mi === candidates.length - 1) {
-        return sseOnce.errorResp || resp(502, baseHeaders, { error: "All models failed (stream)", requestId, lang });
+        await settleCache(null);
+        return resp(sseOnce.statusCode || 502, baseHeaders, { ...(sseOnce.error || { error: "All models failed (stream)" }), requestId, lang });
       }
     }
   }
 
   // ======= NON-STREAM + Fallback + Auto-Continue =======
   for (let mi = 0; mi < candidates.length; mi++) {
-    const m = candidates[mi];
-    const url = makeUrl(m, false, API_KEY);
-
-    const makeBody = () => JSON.stringify({
-      contents,
-      generationConfig,
-      safetySettings,
-      ...(systemInstruction ? { systemInstruction } : {})
-    });
+    const target = candidates[mi];
+    const adapter = getAdapter(target.provider);
+    const makeRequest = () => adapter.buildRequest(target.model, llmRequest, { stream: false });
 
     // المرة الأولى
-    const first = await tryJSONOnce(url, makeBody(), timeBudgetLeft(reqStart, timeout_ms), include_raw);
+    const t0 = Date.now();
+    tel.models_tried.push(`${target.provider}:${target.model}`);
+    const first = await tryJSONOnce(adapter, makeRequest(), timeBudgetLeft(reqStart, timeout_ms), include_raw, triesFor(target, mi));
+    await recordResult(target, healthOutcome(first, Date.now() - t0), "json");
     if (!first.ok) {
+      tel.error_category = failureCategory(first);
       if (mi === candidates.length - 1) {
+        await settleCache(null);
         const status = first.statusCode || 502;
         return resp(status, baseHeaders, { ...(first.error || { error: "All models failed" }), requestId, lang });
       }
-      continue; // جرّب النموذج التالي
+      continue; // جرّب النموذج/المزوّد التالي
+    }
+
+    // JSON منظّم: تحقق من الـ schema + إعادة محاولة بطلب إصلاح، ثم markdown للعرض
+    if (structured) {
+      const out = await runStructured(adapter, target.model, llmRequest, first, structuredChecked, { lang, reqStart, timeout_ms });
+      await recordUsage(quota.ctx, out.usage);
+      Object.assign(tel, { provider: target.provider, model: target.model, usage: sumUsage(tel.usage, out.usage), repairs: out.repairs });
+      if (!out.ok) {
+        tel.error_category = "invalid_output";
+        if (mi < candidates.length - 1) continue;
+        await settleCache(null);
+        if (medical) await auditSafety("instructed");
+        return resp(422, baseHeaders, { error: "Invalid structured output", mode, errors: out.errors.slice(0, 20), repairs: out.repairs, ...mediaInfo, safety: safetyInfo, requestId, lang });
+      }
+      const rendered = structured.render(out.value, lang);
+      const amended = medicalSafety.amendOutput(medical, rendered, lang);
+      if (medical) await auditSafety(amended.amendments.length ? "amended" : "instructed", amended.amendments);
+      const result = {
+        text: rendered + amended.extra,
+        json: out.value,
+        mode,
+        model: target.model,
+        provider: target.provider,
+        lang,
+        usage: out.usage || undefined
+      };
+      await settleCache(result);
+      tel.error_category = null;
+      if (structured.kind === "plan") tel.plan_status = out.value.status; // ready | needs_info → sessions_summary.plan_delivered
+      return resp(200, { ...baseHeaders, "X-Cache": cacheStatus }, {
+        ...result,
+        repairs: out.repairs,
+        ...mediaInfo,
+        safety: safetyInfo,
+        cache: cacheStatus,
+        requestId,
+        took_ms: Date.now() - reqStart
+      });
     }
 
     let fullText = first.text;
+    let usage = first.usage;
     let chunks = 1;
 
     // تكملة تلقائية داخل نفس الطلب لإخراج نص طويل بدون تكرار
     while (long && chunks < clampNumber(max_chunks, 1, 12, 4) && shouldContinue(fullText) && timeBudgetLeft(reqStart, timeout_ms) > 2500) {
       // أضف ردّ النموذج كسياق، ثم اطلب "تابع" بنفس اللغة وبدون تكرار
-      contents.push({ role: "model", parts: [{ text: fullText }] });
-      contents.push({ role: "user", parts: [{ text: continuePrompt(lang) }] });
+      llmRequest.messages.push({ role: "assistant", parts: [{ text: fullText }] });
+      llmRequest.messages.push({ role: "user", parts: [{ text: continuePrompt(lang) }] });
 
-      const next = await tryJSONOnce(url, makeBody(), timeBudgetLeft(reqStart, timeout_ms), false);
+      const next = await tryJSONOnce(adapter, makeRequest(), timeBudgetLeft(reqStart, timeout_ms), false);
       if (!next.ok) break;
 
       // إزالة أي تكرار افتتاحي شائع
       const append = dedupeContinuation(fullText, next.text);
       fullText += (append ? ("\n" + append) : "");
+      usage = sumUsage(usage, next.usage);
       chunks++;
     }
 
-    return resp(200, baseHeaders, {
-      text: mirrorLanguage(fullText, lang),
-      model: m,
+    await recordUsage(quota.ctx, usage);
+    Object.assign(tel, { provider: target.provider, model: target.model, usage, chunks, error_category: null });
+
+    const finalText = mirrorLanguage(fullText, lang);
+    const amended = medicalSafety.amendOutput(medical, finalText, lang);
+    if (medical) await auditSafety(amended.amendments.length ? "amended" : "instructed", amended.amendments);
+
+    const result = {
+      text: finalText + amended.extra,
+      model: target.model,
+      provider: target.provider,
       lang,
-      usage: first.usage || undefined,
+      usage: usage || undefined
+    };
+    await settleCache(result);
+
+    return resp(200, { ...baseHeaders, "X-Cache": cacheStatus }, {
+      ...result,
+      ...mediaInfo,
+      safety: safetyInfo,
+      cache: cacheStatus,
       requestId,
       took_ms: Date.now() - reqStart
     });
   }
 
+  await settleCache(null);
   return resp(500, baseHeaders, { error: "Unknown failure", requestId, lang });
-};
+}
 
 /* -------------------- Helpers -------------------- */
 
+function jsonHeaders(allowOrigin, requestId) {
+  return {
+    "Access-Control-Allow-Origin": allowOrigin,
+    "Access-Control-Allow-Headers": "Content-Type, X-Request-ID, X-Session-ID, X-Timestamp, X-Nonce, X-Signature",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Expose-Headers": "X-Request-ID, X-Cache, Retry-After",
+    "Vary": "Origin",
+    "Content-Type": "application/json",
+    "X-Request-ID": requestId
+  };
+}
+
+// X-Session-ID وحده ادّعاء من العميل: بدون توقيع صحيح (أو جلسة غير موجودة / nonce مكرر) → null = طلب مجهول
+async function signedSessionId(event) {
+  if (!(event.headers || {})["x-signature"]) return null;
+  try {
+    const auth = await authenticate(event);
+    return auth.error ? null : auth.session_id;
+  } catch (e) {
+    console.warn("session auth failed:", e.message);
+    return null;
+  }
+}
+
 function resp(statusCode, headers, obj) {
   return { statusCode, headers, body: JSON.stringify(obj ?? {}) };
 }
@@ -210,12 +448,6 @@ function clampNumber(n, min, max, fallback) {
   return Math.max(min, Math.min(max, v));
 }
 
-function makeUrl(model, isStream, apiKey) {
-  const base = "https://generativelanguage.googleapis.com/v1beta/models";
-  const method = isStream ? "streamGenerateContent" : "generateContent";
-  return `${base}/${encodeURIComponent(model)}:${method}?key=${apiKey}`;
-}
-
 function hasArabic(s){ return /[\u0600-\u06FF]/.test(s || "") }
 function chooseLang(force, sample){
   if(force === "ar" || force === "en") return force;
@@ -248,43 +480,43 @@ function buildGuardrails({ lang, useImageBrief, level }){
   const lines = [L.mirror, L.beBrief, (useImageBrief ? L.imageBrief : ""), (level !== "relaxed" ? L.strict : "")].filter(Boolean);
   return lines.join("\n");
 }
-function wrapPrompt(prompt, lang, useImageBrief, guard){
+function guardBlock(lang, guard){
   const head = (lang === "ar") ? "تعليمات حراسة موجزة (اتبعها بدقة):" : "Concise guardrails (follow strictly):";
-  return `${head}\n${guard}\n\n---\n${prompt || ""}`;
+  return `${head}\n${guard}`;
+}
+function wrapPrompt(prompt, lang, useImageBrief, guard){
+  return `${guardBlock(lang, guard)}\n\n---\n${prompt || ""}`;
 }
 
-/* ---- Messages & Media ---- */
+/* ---- Messages & Media (الصيغة الموحّدة: { text } | { media: { mime, data } }) ---- */
 
-function buildParts(prompt, images, audio) {
+async function buildParts(prompt, images, audio, rejected) {
   const parts = [];
   if (typeof prompt === "string" && prompt.trim()) parts.push({ text: prompt });
-  parts.push(...coerceMediaParts(images, audio));
+  parts.push(...await coerceMediaParts(images, audio, rejected));
   return parts;
 }
-function normalizeMessagesWithMedia(messages, guard) {
-  const safeRole = (r) => (r === "user" || r === "model" || r === "system") ? r : "user";
-  let injected = false;
-  return messages
-    .filter(m => m && (typeof m.content === "string" || m.images || m.audio))
-    .map(m => {
-      const parts = [];
-      if (!injected && m.role === "user") {
-        const content = (typeof m.content === "string" && m.content.trim()) ? m.content : "";
-        parts.push({ text: wrapPrompt(content, chooseLang(undefined, content), !!(m.images && m.images.length), guard) });
-        injected = true;
-      } else if (typeof m.content === "string" && m.content.trim()) {
-        parts.push({ text: m.content });
-      }
-      parts.push(...coerceMediaParts(m.images, m.audio));
-      return { role: safeRole(m.role), parts };
-    })
-    .filter(m => m.parts.length);
+async function normalizeMessagesWithMedia(messages, rejected) {
+  const safeRole = (r) => (r === "model" || r === "assistant") ? "assistant" : (r === "system" ? "system" : "user");
+  const out = [];
+  // message = ترتيب الرسالة في messages[] كما أرسلها العميل (قبل الفلترة)
+  for (const [index, m] of messages.entries()) {
+    if (!m || !(typeof m.content === "string" || m.images || m.audio)) continue;
+    const parts = [];
+    if (typeof m.content === "string" && m.content.trim()) parts.push({ text: m.content });
+    parts.push(...await coerceMediaParts(m.images, m.audio, rejected, { message: index }));
+    if (parts.length) out.push({ role: safeRole(m.role), parts });
+  }
+  return out;
 }
 
-function coerceMediaParts(images, audio) {
+// الصور تُطبَّع (تدوير/تصغير/JPEG أو WebP بدون EXIF) قبل إرسالها؛ المرفوض يُضاف لـ rejected مع السبب:
+// invalid_data | unsupported_type | too_large | unreadable
+async function coerceMediaParts(images, audio, rejected = [], where = {}) {
   const parts = [];
+  const reject = (kind, index, mime, reason) => rejected.push({ ...where, kind, index, mime: mime || null, reason });
   if (Array.isArray(images)) {
-    for (const item of images) {
+    for (const [index, item] of images.entries()) {
       let mime, b64;
       if (typeof item === "string" && item.startsWith("data:")) {
         ({ mime, data: b64 } = fromDataUrl(item));
@@ -292,10 +524,12 @@ function coerceMediaParts(images, audio) {
         mime = item.mime || item.mime_type;
         b64 = item.data || item.base64 || (item.dataUrl ? fromDataUrl(item.dataUrl).data : "");
       }
-      if (!mime || !b64) continue;
-      if (!ALLOWED_IMAGE.test(mime)) continue;
-      if (approxBase64Bytes(b64) > MAX_INLINE_BYTES) continue;
-      parts.push({ inline_data: { mime_type: mime, data: b64 } });
+      if (!mime || !b64) { reject("image", index, mime, "invalid_data"); continue; }
+      if (!ALLOWED_IMAGE.test(mime)) { reject("image", index, mime, "unsupported_type"); continue; }
+      if (approxBase64Bytes(b64) > MAX_INLINE_BYTES) { reject("image", index, mime, "too_large"); continue; }
+      const image = await normalizeImage(Buffer.from(b64, "base64"));
+      if (!image) { reject("image", index, mime, "unreadable"); continue; }
+      parts.push({ media: { mime: image.mime, data: image.buffer.toString("base64") } });
     }
   }
   if (audio) {
@@ -306,9 +540,10 @@ function coerceMediaParts(images, audio) {
       mime = audio.mime || audio.mime_type;
       b64 = audio.data || audio.base64 || (audio.dataUrl ? fromDataUrl(audio.dataUrl).data : "");
     }
-    if (mime && b64 && ALLOWED_AUDIO.test(mime) && approxBase64Bytes(b64) <= MAX_INLINE_BYTES) {
-      parts.push({ inline_data: { mime_type: mime, data: b64 } });
-    }
+    if (!mime || !b64) reject("audio", 0, mime, "invalid_data");
+    else if (!ALLOWED_AUDIO.test(mime)) reject("audio", 0, mime, "unsupported_type");
+    else if (approxBase64Bytes(b64) > MAX_INLINE_BYTES) reject("audio", 0, mime, "too_large");
+    else parts.push({ media: { mime, data: b64 } });
   }
   return parts;
 }
@@ -337,6 +572,11 @@ function tuneGeneration({ temperature, top_p, max_output_tokens, useImageBrief,
     tp = Math.min(tp, 0.9);
     mot = Math.max(mot, 3072);
   }
+  if (getStructuredMode(mode)) {
+    // خطة أسبوعية كاملة كـ JSON طويلة؛ لا مجال للقطع في المنتصف
+    t = Math.min(t, 0.2);
+    mot = MAX_OUTPUT_TOKENS_HARD;
+  }
 
   t   = clampNumber(t,   SAFE_TEMP_RANGE[0], SAFE_TEMP_RANGE[1], 0.30);
   tp  = clampNumber(tp,  SAFE_TOPP_RANGE[0], SAFE_TOPP_RANGE[1], 0.88);
@@ -345,15 +585,86 @@ function tuneGeneration({ temperature, top_p, max_output_tokens, useImageBrief,
   return { temperature: t, topP: tp, maxOutputTokens: mot };
 }
 
-/* ---- Safety ---- */
-function buildSafety(level = "strict") {
-  const cat = (name) => ({ category: name, threshold: level === "relaxed" ? "BLOCK_NONE" : "BLOCK_ONLY_HIGH" });
-  return [
-    cat("HARM_CATEGORY_HARASSMENT"),
-    cat("HARM_CATEGORY_HATE_SPEECH"),
-    cat("HARM_CATEGORY_SEXUALLY_EXPLICIT"),
-    cat("HARM_CATEGORY_DANGEROUS_CONTENT"),
-  ];
+/* ---- Transcription (mode: "transcribe") ---- */
+// مقطع MediaRecorder → { text, lang }. النموذج السريع أولًا (TRANSCRIBE_MODEL) ثم باقي المزوّدين الذين يفهمون الصيغة
+async function transcribe({ audio, force_lang, model, provider, timeout_ms, quota, tel, headers, requestId, reqStart }) {
+  const rejected = [];
+  const [part] = await coerceMediaParts(null, audio, rejected);
+  if (!part) return resp(400, headers, { error: "Missing or unsupported audio", ...rejectedInfo(rejected), requestId });
+
+  const pinned = !!model && model !== "auto";
+  const resolved = resolveCandidates({ model: pinned ? model : (process.env.TRANSCRIBE_MODEL || "gemini-2.0-flash"), provider })
+    .filter(t => getAdapter(t.provider).acceptsAudio(part.media.mime));
+  if (!resolved.length) return resp(415, headers, { error: `No provider accepts ${part.media.mime}`, requestId });
+  const candidates = await orderCandidates(resolved, { kind: "json", pinFirst: pinned });
+
+  const hint = force_lang === "en" ? "The speaker most likely uses English." : force_lang === "ar" ? "The speaker most likely uses Arabic (often Egyptian or Gulf dialect)." : "The speaker uses Arabic or English.";
+  const llmRequest = {
+    system: [
+      "You are a speech-to-text engine. Transcribe the audio verbatim in the language and script it is spoken in (Arabic in Arabic script, English in Latin script; keep mixed-language words as spoken).",
+      hint,
+      "Output ONLY the transcript: no translation, no quotes, no timestamps, no comments.",
+      `If there is no intelligible speech, output exactly ${NO_SPEECH}`
+    ].join("\n"),
+    messages: [{ role: "user", parts: [{ text: "Transcribe this recording." }, part] }],
+    generation: { temperature: 0, topP: 1, maxOutputTokens: 1024 },
+    safety: "relaxed"
+  };
+
+  // كل النماذج المقبولة معطلة (circuit breaker) → القائمة فارغة ولا محاولة
+  let last = { ok: false, statusCode: 503, error: { error: "No model available for transcription" } };
+  for (let mi = 0; mi < candidates.length; mi++) {
+    const target = candidates[mi];
+    const adapter = getAdapter(target.provider);
+    const t0 = Date.now();
+    tel.models_tried.push(`${target.provider}:${target.model}`);
+    last = await tryJSONOnce(adapter, adapter.buildRequest(target.model, llmRequest, { stream: false }),
+      Math.min(TRANSCRIBE_TIMEOUT_MS, timeBudgetLeft(reqStart, timeout_ms)), false, target.probe ? 1 : 2);
+    await recordResult(target, healthOutcome(last, Date.now() - t0), "json");
+    if (!last.ok) { tel.error_category = failureCategory(last); continue; }
+
+    await recordUsage(quota.ctx, last.usage);
+    const text = last.text.includes(NO_SPEECH) ? "" : last.text.replace(/^["'«]|["'»]$/g, "").trim();
+    const lang = text ? (hasArabic(text) ? "ar" : "en") : (force_lang === "en" ? "en" : "ar");
+    Object.assign(tel, { provider: target.provider, model: target.model, usage: last.usage, lang, error_category: null });
+    return resp(200, headers, { text, lang, mode: "transcribe", model: target.model, provider: target.provider, requestId, took_ms: Date.now() - reqStart });
+  }
+  return resp(last.statusCode || 502, headers, { ...(last.error || { error: "All models failed (transcribe)" }), requestId });
+}
+
+/* ---- Structured output (validate + repair) ---- */
+async function runStructured(adapter, model, llmRequest, first, structured, { lang, reqStart, timeout_ms }) {
+  // نسخة من المحادثة حتى لا تتسرّب أدوار الإصلاح للنموذج التالي في الـ fallback
+  const req = { ...llmRequest, messages: [...llmRequest.messages] };
+  let attempt = first;
+  let usage = first.usage;
+  let repairs = 0;
+  let checked = structured.parse(first.text);
+
+  while (!checked.ok && repairs < MAX_STRUCTURED_REPAIRS && timeBudgetLeft(reqStart, timeout_ms) > 4000) {
+    req.messages.push({ role: "assistant", parts: [{ text: attempt.text }] });
+    req.messages.push({ role: "user", parts: [{ text: structured.repairPrompt(checked.errors, lang) }] });
+
+    attempt = await tryJSONOnce(adapter, adapter.buildRequest(model, req, { stream: false }), timeBudgetLeft(reqStart, timeout_ms), false);
+    if (!attempt.ok) break;
+    usage = sumUsage(usage, attempt.usage);
+    repairs++;
+    checked = structured.parse(attempt.text);
+  }
+  return { ...checked, usage, repairs };
+}
+
+/* ---- Rolling summary call (أول مرشّح فقط، بدون fallback) ---- */
+async function summarizeOnce(target, system, text, timeout_ms) {
+  const adapter = getAdapter(target.provider);
+  const request = adapter.buildRequest(target.model, {
+    system,
+    messages: [{ role: "user", parts: [{ text }] }],
+    generation: { temperature: 0.1, topP: 0.8, maxOutputTokens: 800 },
+    safety: "strict"
+  }, { stream: false });
+  const out = await tryJSONOnce(adapter, request, timeout_ms, false);
+  return out.ok ? { text: out.text, usage: out.usage } : null;
 }
 
 /* ---- Auto-continue helpers ---- */
@@ -376,12 +687,35 @@ function dedupeContinuation(prev, next){
   return next;
 }
 function timeBudgetLeft(start, total){ return Math.max(0, total - (Date.now() - start)); }
+function sumUsage(a, b){
+  if (!a || !b) return a || b;
+  const add = (k) => (a[k] || 0) + (b[k] || 0);
+  return { promptTokenCount: add("promptTokenCount"), candidatesTokenCount: add("candidatesTokenCount"), totalTokenCount: add("totalTokenCount") };
+}
 
 /* ---- Network & Retry ---- */
+// نتيجة المحاولة من منظور صحة النموذج؛ null = رد فارغ/محجوب (مشكلة محتوى لا صحة النموذج)
+function healthOutcome(result, latencyMs) {
+  if (result.ok) return { ok: true, latencyMs };
+  const e = result.error || {};
+  if (e.error === "Network/timeout") return { ok: false, status: 0, error: e.details };
+  if (e.error === "Upstream error") return { ok: false, status: e.status, error: e.details };
+  return null;
+}
+// تصنيف الفشل لصف الـ telemetry
+function failureCategory(result) {
+  const e = result.error || {};
+  if (e.error === "Network/timeout") return "timeout";
+  if (e.error === "Empty/blocked response") return "blocked";
+  if (e.status === 404) return "not_found";
+  if (e.status === 429) return "upstream_rate_limit";
+  if (e.status >= 500) return "upstream_5xx";
+  return "upstream_error";
+}
 function shouldRetry(status) { return status === 429 || (status >= 500 && status <= 599); }
 function mapStatus(status) { if (status === 429) return 429; if (status >= 500) return 502; return status || 500; }
 function collectUpstreamError(status, data, text) {
-  const details = (data && (data.error?.message || data.message)) || (typeof text === "string" ? text.slice(0, 1000) : "Upstream error");
+  const details = (data && (data.error?.message || (typeof data.error === "string" && data.error) || data.message)) || (typeof text === "string" ? text.slice(0, 1000) : "Upstream error");
   return { error: "Upstream error", status, details };
 }
 async function sleepWithJitter(attempt) {
@@ -389,80 +723,138 @@ async function sleepWithJitter(attempt) {
   const jitter = Math.floor(Math.random() * 400);
   await new Promise(r => setTimeout(r, base + jitter));
 }
-async function streamBody(genFactory) {
-  const chunks = [];
-  for await (const chunk of genFactory()) {
-    chunks.push(Buffer.from(chunk).toString("utf8"));
-  }
-  return chunks.join("");
+
+/* ---- SSE ---- */
+// المرفقات المرفوضة تصل في حدث meta (قبل أول delta) ليعرضها العميل فورًا
+function rejectedInfo(rejected) {
+  return rejected && rejected.length ? { rejected_attachments: rejected } : {};
+}
+function sseEvent(event, data) {
+  return new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+// يحوّل بث المزوّد (SSE أو NDJSON) إلى أحداث موحّدة تُرسل للعميل فور وصولها
+function sseBody(upstream, abort, adapter, { requestId, model, provider, lang, reqStart, rejected, amend, onEnd }) {
+  const reader = upstream.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", text = "";
+  let usage, finishReason, ended = false;
+
+  // onEnd يُستدعى مرة واحدة فقط: نهاية طبيعية أو خطأ أو إلغاء من العميل
+  const finish = async (info) => {
+    if (ended) return;
+    ended = true;
+    if (onEnd) { try { await onEnd({ usage, finishReason, text, ...info }); } catch (e) { console.warn("stream onEnd failed:", e.message); } }
+  };
+
+  const drainLines = (controller, flush) => {
+    const lines = buffer.split(/\r?\n/);
+    buffer = flush ? "" : (lines.pop() || "");
+    let sent = 0;
+    for (const line of lines) {
+      const chunk = line.trim() && adapter.parseStreamLine(line.trim());
+      if (!chunk) continue;
+      if (chunk.finishReason) finishReason = chunk.finishReason;
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.text) { text += chunk.text; controller.enqueue(sseEvent("delta", { text: chunk.text })); sent++; }
+    }
+    return sent;
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(sseEvent("meta", { requestId, model, provider, lang, cache: "miss", ...rejectedInfo(rejected) }));
+    },
+    async pull(controller) {
+      try {
+        // لا نرجع قبل إرسال شيء، وإلا قد يتوقف البث بانتظار pull جديد
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) {
+            drainLines(controller, true);
+            const extra = text && amend ? amend(text) : "";
+            if (extra) { text += extra; controller.enqueue(sseEvent("delta", { text: extra })); }
+            await finish(text ? {} : { error: "empty" });
+            controller.enqueue(text
+              ? sseEvent("end", { model, provider, usage, finishReason, took_ms: Date.now() - reqStart })
+              : sseEvent("error", { error: "Empty/blocked response", finishReason }));
+            controller.close();
+            return;
+          }
+          buffer += decoder.decode(value, { stream: true });
+          if (drainLines(controller, false)) return;
+        }
+      } catch (e) {
+        await finish({ error: String(e && e.message || e) });
+        if (!abort.signal.aborted) {
+          controller.enqueue(sseEvent("error", { error: "Stream interrupted", details: String(e && e.message || e) }));
+        }
+        controller.close();
+      }
+    },
+    cancel() { abort.abort(); finish({ cancelled: true }); }
+  });
+}
+
+// رد من الكاش بنفس شكل البث: meta → delta واحد → end
+function replayBody(entry, { requestId, cache, reqStart, rejected }) {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(sseEvent("meta", { requestId, model: entry.model, provider: entry.provider, lang: entry.lang, cache, ...rejectedInfo(rejected) }));
+      controller.enqueue(sseEvent("delta", { text: entry.text }));
+      controller.enqueue(sseEvent("end", { model: entry.model, provider: entry.provider, usage: entry.usage, cache, took_ms: Date.now() - reqStart }));
+      controller.close();
+    }
+  });
 }
 
 /* ---- One-shot attempts ---- */
-async function tryStreamOnce(url, body, timeout_ms) {
-  for (let attempt = 1; attempt <= MAX_TRIES; attempt++) {
+async function tryStreamOnce({ url, headers, body }, timeout_ms, tries = MAX_TRIES) {
+  for (let attempt = 1; attempt <= tries; attempt++) {
     const abort = new AbortController();
     const t = setTimeout(() => abort.abort(), timeout_ms);
     try {
-      const response = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, signal: abort.signal });
-      clearTimeout(t);
+      const response = await fetch(url, { method: "POST", headers, body, signal: abort.signal });
+      clearTimeout(t); // المهلة للاتصال فقط؛ البث نفسه يُقطع عبر abort عند إلغاء العميل
       if (!response.ok) {
-        if (shouldRetry(response.status) && attempt < MAX_TRIES) { await sleepWithJitter(attempt); continue; }
+        if (shouldRetry(response.status) && attempt < tries) { await sleepWithJitter(attempt); continue; }
         const text = await response.text();
         const data = safeParseJSON(text);
-        const upstream = collectUpstreamError(response.status, data, text);
-        return { ok: false, errorResp: resp(mapStatus(response.status), {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-          "Access-Control-Allow-Methods": "POST, OPTIONS",
-          "Content-Type": "application/json"
-        }, upstream) };
+        return { ok: false, statusCode: mapStatus(response.status), error: collectUpstreamError(response.status, data, text) };
       }
-      return { ok: true, response };
+      return { ok: true, response, abort };
     } catch (e) {
       clearTimeout(t);
-      if (attempt < MAX_TRIES) { await sleepWithJitter(attempt); continue; }
-      return { ok: false, errorResp: resp(500, {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-        "Content-Type": "application/json"
-      }, { error: "Network/timeout", details: String(e && e.message || e) }) };
+      if (attempt < tries) { await sleepWithJitter(attempt); continue; }
+      return { ok: false, statusCode: 500, error: { error: "Network/timeout", details: String(e && e.message || e) } };
     }
   }
 }
-async function tryJSONOnce(url, body, timeout_ms, include_raw) {
-  for (let attempt = 1; attempt <= MAX_TRIES; attempt++) {
+async function tryJSONOnce(adapter, { url, headers, body }, timeout_ms, include_raw, tries = MAX_TRIES) {
+  for (let attempt = 1; attempt <= tries; attempt++) {
     const abort = new AbortController();
     const t = setTimeout(() => abort.abort(), timeout_ms);
     try {
-      const respUp = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, signal: abort.signal });
+      const respUp = await fetch(url, { method: "POST", headers, body, signal: abort.signal });
       clearTimeout(t);
 
       const textBody = await respUp.text();
       let data; try { data = JSON.parse(textBody); } catch { data = null; }
 
       if (!respUp.ok) {
-        if (shouldRetry(respUp.status) && attempt < MAX_TRIES) { await sleepWithJitter(attempt); continue; }
+        if (shouldRetry(respUp.status) && attempt < tries) { await sleepWithJitter(attempt); continue; }
         const upstream = collectUpstreamError(respUp.status, data, textBody);
         return { ok: false, statusCode: mapStatus(respUp.status), error: upstream };
       }
 
-      const parts = data?.candidates?.[0]?.content?.parts || [];
-      const text = parts.map(p => p?.text || "").join("\n").trim();
+      const { text, usage, safety } = adapter.parseResponse(data);
       if (!text) {
-        const safety = data?.promptFeedback || data?.candidates?.[0]?.safetyRatings;
         return { ok: false, statusCode: 502, error: { error: "Empty/blocked response", safety, raw: include_raw ? data : undefined } };
       }
-      const usage = data?.usageMetadata ? {
-        promptTokenCount: data.usageMetadata.promptTokenCount,
-        candidatesTokenCount: data.usageMetadata.candidatesTokenCount,
-        totalTokenCount: data.usageMetadata.totalTokenCount
-      } : undefined;
 
       return { ok: true, text, raw: include_raw ? data : undefined, usage };
     } catch (e) {
       clearTimeout(t);
-      if (attempt < MAX_TRIES) { await sleepWithJitter(attempt); continue; }
+      if (attempt < tries) { await sleepWithJitter(attempt); continue; }
       return { ok: false, statusCode: 500, error: { error: "Network/timeout", details: String(e && e.message || e) } };
     }
   }
@@ -1,25 +1,22 @@
-// يرجّع config.json بدون أي توثيق
-const fs = require('fs/promises');
-const path = require('path');
+// يرجّع إعدادات الموقع النشطة بدون أي توثيق (Blobs → config.json → admin/config.json.txt)
+const { connectBlobs } = require('./_shared/blobs');
+const { getActiveConfig } = require('./_shared/site-config');
 
-exports.handler = async () => {
+exports.handler = async (event) => {
   try {
-    // نقرأ ملف config.json من مجلد النشر (الجذر حسب netlify.toml)
-    const filePath = path.join(process.cwd(), 'config.json');
-    const buf = await fs.readFile(filePath, 'utf8');
-    // تحقّق أن المحتوى JSON صالح
-    JSON.parse(buf);
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: buf
+    connectBlobs(event);
+    const { config, etag } = await getActiveConfig();
+    const headers = {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      'Access-Control-Allow-Origin': '*',
+      ETag: etag,
     };
+    if ((event.headers || {})['if-none-match'] === etag) return { statusCode: 304, headers, body: '' };
+    return { statusCode: 200, headers, body: JSON.stringify(config) };
   } catch (e) {
-    // رجوع افتراضي لو الملف غير موجود
+    console.error(e);
+    // رجوع افتراضي لو تعذّرت القراءة
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
@@ -0,0 +1,79 @@
+const { authenticate } = require('./_shared/session-auth');
+const { getStructuredMode } = require('./_shared/structured');
+const { PLAN_MODES, validatePlan, listPlans, getPlan, savePlan, renderPlanHtml, renderPlanIcs, diffPlans } = require('./_shared/plans');
+
+// الخطط المحفوظة كإصدارات بطلب موقّع من صاحب الجلسة (/api/plans):
+//   GET ?lang=ar|en                                   → { plans: [{ id, version, mode, title, created_at, plan, markdown }] } الأحدث أولًا
+//   POST { action: "save", mode, plan, client_id }    → { plan, duplicate }  (client_id = رسالة الشات التي جاءت بالخطة)
+//   POST { action: "export", id, format: "html" }     → صفحة قابلة للطباعة / الحفظ PDF من المتصفح
+//   POST { action: "export", id, format: "ics", start: "YYYY-MM-DD", time: "HH:MM", weeks } → تقويم أيام التمرين
+//   POST { action: "compare", from, to }              → { changes }
+const CLIENT_ID = /^[A-Za-z0-9._:-]{1,100}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_PLAN_CHARS = 100000;
+
+const ok = (b) => ({ statusCode: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }, body: JSON.stringify(b) });
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+const file = (type, name, body) => ({
+  statusCode: 200,
+  headers: { 'Content-Type': type, 'Content-Disposition': `attachment; filename="${name}"`, 'Cache-Control': 'no-store' },
+  body,
+});
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const auth = await authenticate(event);
+    if (auth.error) return auth.error;
+    const { session_id, bodyText } = auth;
+
+    if (event.httpMethod === 'GET') {
+      const lang = event.queryStringParameters?.lang === 'en' ? 'en' : 'ar';
+      const plans = await listPlans(session_id);
+      return ok({ plans: plans.map(p => ({ ...p, markdown: getStructuredMode(p.mode).render(p.plan, lang) })) });
+    }
+
+    let payload;
+    try { payload = JSON.parse(bodyText || '{}'); } catch { return bad('invalid_json'); }
+    const lang = payload.lang === 'en' ? 'en' : 'ar';
+
+    if (payload.action === 'save') {
+      if (!PLAN_MODES.includes(payload.mode)) return bad('invalid_mode');
+      if (payload.client_id !== undefined && (typeof payload.client_id !== 'string' || !CLIENT_ID.test(payload.client_id))) return bad('invalid_client_id');
+      if (!payload.plan || typeof payload.plan !== 'object' || JSON.stringify(payload.plan).length > MAX_PLAN_CHARS) return bad('invalid_plan');
+      const errors = validatePlan(payload.mode, payload.plan);
+      if (errors) return { statusCode: 422, body: JSON.stringify({ error: 'invalid_plan', details: errors }) };
+      return ok(await savePlan(session_id, { mode: payload.mode, plan: payload.plan, message_client_id: payload.client_id || null }));
+    }
+
+    if (payload.action === 'export') {
+      if (!Number.isInteger(payload.id)) return bad('invalid_id');
+      const doc = await getPlan(session_id, payload.id);
+      if (!doc) return bad('not_found', 404);
+      if (payload.format === 'html') return file('text/html; charset=utf-8', `plan-v${doc.version}.html`, renderPlanHtml(doc, lang));
+      if (payload.format !== 'ics') return bad('invalid_format');
+      if (!doc.plan.workout) return bad('no_workout');
+      const start = payload.start || new Date().toISOString().slice(0, 10);
+      const time = payload.time || '18:00';
+      const weeks = payload.weeks ?? 4;
+      if (!DATE.test(start) || isNaN(Date.parse(start))) return bad('invalid_start');
+      if (!TIME.test(time)) return bad('invalid_time');
+      if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) return bad('invalid_weeks');
+      return file('text/calendar; charset=utf-8', `plan-v${doc.version}.ics`, renderPlanIcs(doc, { start, time, weeks, lang }));
+    }
+
+    if (payload.action === 'compare') {
+      if (!Number.isInteger(payload.from) || !Number.isInteger(payload.to)) return bad('invalid_id');
+      const [a, b] = await Promise.all([getPlan(session_id, payload.from), getPlan(session_id, payload.to)]);
+      if (!a || !b) return bad('not_found', 404);
+      return ok({ from: a.version, to: b.version, changes: diffPlans(a.plan, b.plan) });
+    }
+
+    return bad('invalid_action');
+  } catch (e) {
+    console.error(e);
+    return bad(e.message, 500);
+  }
+};
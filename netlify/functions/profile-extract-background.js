@@ -0,0 +1,24 @@
+const { extractFromMessage, verifyInternalSignature } = require('./_shared/profile');
+const { connectBlobs } = require('./_shared/blobs');
+
+// Background function (لاحقة -background): Netlify يرد 202 فورًا ويكمل هنا حتى 15 دقيقة.
+// تُستدعى من chat.js بعد حفظ رسالة العميل فقط (توقيع داخلي بمفتاح الخدمة: _shared/profile.js)
+// POST { session_id, message_id }
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+    connectBlobs(event);
+    const { session_id, message_id } = JSON.parse(event.body || '{}');
+    if (!session_id || !message_id) return { statusCode: 400, body: 'session_id and message_id required' };
+    const headers = event.headers || {};
+    if (!verifyInternalSignature(String(session_id), String(message_id), headers['x-internal-signature'] || headers['X-Internal-Signature'])) {
+      return { statusCode: 403, body: 'Forbidden' };
+    }
+
+    const result = await extractFromMessage(String(session_id), message_id);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
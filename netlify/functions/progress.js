@@ -0,0 +1,72 @@
+const { authenticate } = require('./_shared/session-auth');
+const { validateImage, storeImage, withSignedUrls } = require('./_shared/images');
+const { validateEntry, computeTrend, listEntries } = require('./_shared/progress');
+const { getClient } = require('./_shared/supabase');
+
+// متابعة التقدّم بطلب موقّع من صاحب الجلسة (/api/progress):
+//   GET                      → { entries, trend }  (صور التقدّم بروابط موقّعة قصيرة العمر)
+//   POST { entries: [...] }  → حفظ قراءات { client_id, date, kind, value?, image?, note? } ثم { entries, trend }
+//   DELETE { id }            → حذف قراءة (ملف الصورة يبقى: نفس المحتوى قد يكون في رسالة شات)
+// client_id من العميل → إعادة الإرسال لا تكرر القراءة
+const MAX_ENTRIES_PER_REQUEST = 10;
+const CLIENT_ID = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const ok = (b) => ({ statusCode: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }, body: JSON.stringify(b) });
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+
+async function snapshot(session_id) {
+  const entries = await listEntries(session_id);
+  return { entries: await withSignedUrls(session_id, entries), trend: computeTrend(entries) };
+}
+
+exports.handler = async (event) => {
+  try {
+    if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const auth = await authenticate(event);
+    if (auth.error) return auth.error;
+    const { session_id, bodyText } = auth;
+
+    if (event.httpMethod === 'GET') return ok(await snapshot(session_id));
+
+    let payload;
+    try { payload = JSON.parse(bodyText || '{}'); } catch { return bad('invalid_json'); }
+    const supabase = await getClient();
+
+    if (event.httpMethod === 'DELETE') {
+      if (!Number.isInteger(payload.id)) return bad('invalid_id');
+      const { error } = await supabase.from('progress_entries').delete().eq('session_id', session_id).eq('id', payload.id);
+      if (error) throw error;
+      return ok({ ok: true, ...(await snapshot(session_id)) });
+    }
+
+    const entries = payload.entries;
+    if (!Array.isArray(entries) || !entries.length || entries.length > MAX_ENTRIES_PER_REQUEST) return bad('invalid_entries');
+    for (const e of entries) {
+      if (typeof e?.client_id !== 'string' || !CLIENT_ID.test(e.client_id)) return bad('invalid_client_id');
+      const error = validateEntry(e) || (e.kind === 'photo' ? validateImage(e.image) : null);
+      if (error) return bad(error);
+    }
+
+    const rows = [];
+    for (const e of entries) {
+      const ref = e.kind === 'photo' ? await storeImage(session_id, e.image) : null;
+      if (e.kind === 'photo' && !ref) return bad('unreadable_image', 422); // لا تخزين للأصل بـ EXIF
+      rows.push({
+        session_id,
+        client_id: e.client_id,
+        date: e.date,
+        kind: e.kind,
+        value: e.kind === 'photo' ? null : e.value,
+        images: ref ? [ref] : [],
+        note: e.note || null,
+      });
+    }
+    const { error } = await supabase.from('progress_entries').upsert(rows, { onConflict: 'session_id,client_id', ignoreDuplicates: true });
+    if (error) throw error;
+    return ok({ ok: true, ...(await snapshot(session_id)) });
+  } catch (e) {
+    console.error(e);
+    return bad(e.message, 500);
+  }
+};
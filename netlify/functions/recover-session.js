@@ -0,0 +1,44 @@
+// netlify/functions/recover-session.js
+// استعادة جلسة على جهاز آخر بكود الاستعادة (= session_secret نفسه مقسّمًا لمجموعات، أو عبر QR)
+//
+// POST { code } → { session_id }
+// السيرفر لا يحفظ الـ secret؛ البحث بـ sha256(secret) = secret_hash (migrations/005_message_client_ids.sql)
+// الـ secret عشوائي 192 بت فالتخمين غير عملي؛ الرد موحّد لأي كود غير صحيح
+import crypto from "crypto";
+
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY: SRK } = process.env;
+
+const SESSIONS = `${SUPABASE_URL}/rest/v1/sessions`;
+
+const sha256hex = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+
+// "A1B2C3-D4E5F6-..." أو نص الـ secret كما هو → 48 حرف hex صغير
+const normalizeCode = (code) => String(code || "").replace(/[\s-]/g, "").toLowerCase();
+
+export async function handler(event) {
+  try {
+    if (event.httpMethod !== "POST") return { statusCode: 405, body: "Method Not Allowed" };
+
+    let payload;
+    try { payload = JSON.parse(event.body || "{}"); } catch { return bad("invalid_json"); }
+    const secret = normalizeCode(payload.code);
+    if (!/^[0-9a-f]{48}$/.test(secret)) return bad("invalid_code");
+
+    const r = await fetch(`${SESSIONS}?secret_hash=eq.${sha256hex(secret)}&select=id&limit=1`, {
+      headers: { apikey: SRK, Authorization: `Bearer ${SRK}` },
+    });
+    if (!r.ok) throw new Error(`fetch session failed: ${await r.text()}`);
+    const [row] = await r.json();
+    if (!row) return bad("session_not_found", 404);
+
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+      body: JSON.stringify({ session_id: row.id }),
+    };
+  } catch (e) {
+    console.error(e);
+    return bad(e.message, 500);
+  }
+}
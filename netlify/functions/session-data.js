@@ -0,0 +1,58 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { authenticate } = require('./_shared/session-auth');
+const { exportSession, renderMarkdown, renderHtml, eraseSession, recordDataRequest } = require('./_shared/session-data');
+
+// بيانات العميل بطلب موقّع من صاحب الجلسة (/api/my-data):
+//   POST   { format: "json" | "markdown" | "html", profile } → ملف تصدير (profile = ما استخرجه التطبيق على الجهاز)
+//   DELETE { confirm: "ERASE" } → حذف نهائي للجلسة ورسائلها وصورها وملخصها وعداداتها في Blobs
+const FORMATS = {
+  json: { type: 'application/json; charset=utf-8', ext: 'json', render: async (d) => JSON.stringify(d, null, 2) },
+  markdown: { type: 'text/markdown; charset=utf-8', ext: 'md', render: async (d) => renderMarkdown(d) },
+  html: { type: 'text/html; charset=utf-8', ext: 'html', render: renderHtml },
+};
+const MAX_PROFILE_CHARS = 20000;
+
+const ok = (b) => ({ statusCode: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }, body: JSON.stringify(b) });
+const bad = (m, c = 400) => ({ statusCode: c, body: JSON.stringify({ error: m }) });
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'DELETE') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    const auth = await authenticate(event);
+    if (auth.error) return auth.error;
+    const { session_id, bodyText } = auth;
+
+    let payload;
+    try { payload = JSON.parse(bodyText || '{}'); } catch { return bad('invalid_json'); }
+
+    if (event.httpMethod === 'DELETE') {
+      if (payload.confirm !== 'ERASE') return bad('confirmation_required');
+      connectBlobs(event);
+      const erased = await eraseSession(session_id);
+      await recordDataRequest(session_id, 'erase', 'client', erased);
+      return ok({ ok: true, erased });
+    }
+
+    const format = FORMATS[payload.format || 'json'];
+    if (!format) return bad('invalid_format');
+    const profile = payload.profile && typeof payload.profile === 'object' && !Array.isArray(payload.profile) ? payload.profile : null;
+    if (profile && JSON.stringify(profile).length > MAX_PROFILE_CHARS) return bad('profile_too_large');
+
+    const data = await exportSession(session_id, { profile });
+    await recordDataRequest(session_id, 'export', 'client', { format: payload.format || 'json', messages: data.messages.length });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': format.type,
+        'Content-Disposition': `attachment; filename="coach-data-${data.exported_at.slice(0, 10)}.${format.ext}"`,
+        'Cache-Control': 'no-store',
+      },
+      body: await format.render(data),
+    };
+  } catch (e) {
+    console.error(e);
+    return bad(e.message, 500);
+  }
+};
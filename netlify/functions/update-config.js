@@ -0,0 +1,72 @@
+const { connectBlobs } = require('./_shared/blobs');
+const { requireRole, logAccess } = require('./_shared/admin-auth');
+const { FIELDS, validateConfig, diffConfigs, getActiveConfig, getVersion, listHistory, saveConfig } = require('./_shared/site-config');
+
+// GET                      → الإعدادات النشطة + ETag + سجل الإصدارات
+// GET ?version=N           → إصدار محدد + الفرق بينه وبين النشط
+// POST { config, message? }              + If-Match → حفظ إصدار جديد (owner)
+// POST { action: "rollback", version: N } + If-Match → إصدار جديد بمحتوى الإصدار N (owner)
+// 412 لو If-Match لا يطابق الإصدار النشط (أدمن آخر حفظ قبلك)، 428 لو الهيدر غير موجود
+exports.handler = async (event) => {
+  try {
+    const auth = requireRole(event, event.httpMethod === 'POST' ? 'owner' : 'read_only');
+    if (!auth.ok) return auth.response;
+    connectBlobs(event);
+
+    const json = (statusCode, body, etag) => ({
+      statusCode,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...(etag ? { ETag: etag } : {}) },
+      body: JSON.stringify(body),
+    });
+
+    if (event.httpMethod === 'GET') {
+      const q = event.queryStringParameters || {};
+      const active = await getActiveConfig();
+
+      if (q.version) {
+        const entry = await getVersion(parseInt(q.version, 10));
+        if (!entry) return { statusCode: 404, body: 'version not found' };
+        return json(200, { ok: true, entry, diff: diffConfigs(entry.config, active.config), active_version: active.version });
+      }
+
+      return json(200, { ok: true, ...active, fields: Object.keys(FIELDS), history: await listHistory() }, active.etag);
+    }
+
+    if (event.httpMethod === 'POST') {
+      const ifMatch = (event.headers || {})['if-match'];
+      if (!ifMatch) return { statusCode: 428, body: 'If-Match header required' };
+      const body = JSON.parse(event.body || '{}');
+
+      let config, rollbackOf = null;
+      if (body.action === 'rollback') {
+        const entry = await getVersion(parseInt(body.version, 10));
+        if (!entry) return { statusCode: 404, body: 'version not found' };
+        config = entry.config;
+        rollbackOf = entry.version;
+      } else {
+        const checked = validateConfig(body.config);
+        if (!checked.ok) return json(422, { ok: false, errors: checked.errors });
+        config = checked.value;
+      }
+
+      const saved = await saveConfig(config, {
+        ifMatch,
+        author: auth.admin.username,
+        message: body.message || (rollbackOf ? `rollback to v${rollbackOf}` : ''),
+        rollbackOf,
+      });
+      if (!saved.ok) {
+        return json(412, { ok: false, error: 'Config was changed by someone else', current: { version: saved.current.version, etag: saved.current.etag, author: saved.current.author } }, saved.current.etag);
+      }
+
+      await logAccess(event, auth.admin, rollbackOf ? 'rollback_config' : 'update_config', { details: { version: saved.entry.version, rollback_of: rollbackOf } });
+      const { config: _omit, ...summary } = saved.entry;
+      return json(200, { ok: true, ...summary }, saved.entry.etag);
+    }
+
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  } catch (e) {
+    console.error(e);
+    return { statusCode: 500, body: e.message || 'Server error' };
+  }
+};
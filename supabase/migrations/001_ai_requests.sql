@@ -0,0 +1,60 @@
+-- Telemetry: صف واحد لكل طلب للـ AI proxy (gemini-proxy).
+-- session_id بدون foreign key عمدًا: الجلسة قد تُنشأ بعد أول طلب، والتيليمتري لا يجب أن يفشل بسببها.
+
+create table if not exists public.ai_requests (
+  id                bigserial primary key,
+  request_id        text not null unique,
+  session_id        text,
+  ts                timestamptz not null default now(),
+  lang              text,
+  mode              text,
+  persona           text,
+  stream            boolean not null default false,
+  provider          text,
+  model             text,
+  models_tried      text[] not null default '{}',
+  status            integer not null,
+  error_category    text,
+  cache             text,
+  took_ms           integer,
+  chunks            integer,
+  repairs           integer,
+  prompt_tokens     integer,
+  completion_tokens integer,
+  total_tokens      integer,
+  cost_usd          numeric(12, 6)
+);
+
+create index if not exists ai_requests_ts_idx         on public.ai_requests (ts desc);
+create index if not exists ai_requests_session_ts_idx on public.ai_requests (session_id, ts desc);
+create index if not exists ai_requests_model_ts_idx   on public.ai_requests (model, ts desc);
+
+-- تجميع يومي (p50/p95 بالـ percentile_cont)
+create or replace view public.ai_requests_daily as
+select
+  date_trunc('day', ts)::date                                             as day,
+  count(*)                                                                as requests,
+  count(*) filter (where status >= 400)                                   as errors,
+  round(avg((status >= 400)::int)::numeric, 4)                            as error_rate,
+  percentile_cont(0.5)  within group (order by took_ms)                   as p50_ms,
+  percentile_cont(0.95) within group (order by took_ms)                   as p95_ms,
+  coalesce(sum(total_tokens), 0)                                          as total_tokens,
+  coalesce(sum(cost_usd), 0)                                              as cost_usd
+from public.ai_requests
+group by 1;
+
+-- نفس التجميع لكل نموذج
+create or replace view public.ai_requests_by_model as
+select
+  date_trunc('day', ts)::date                                             as day,
+  coalesce(provider, '-')                                                 as provider,
+  coalesce(model, '-')                                                    as model,
+  count(*)                                                                as requests,
+  count(*) filter (where status >= 400)                                   as errors,
+  round(avg((status >= 400)::int)::numeric, 4)                            as error_rate,
+  percentile_cont(0.5)  within group (order by took_ms)                   as p50_ms,
+  percentile_cont(0.95) within group (order by took_ms)                   as p95_ms,
+  coalesce(sum(total_tokens), 0)                                          as total_tokens,
+  coalesce(sum(cost_usd), 0)                                              as cost_usd
+from public.ai_requests
+group by 1, 2, 3;
@@ -0,0 +1,24 @@
+-- سجل تدقيق طبقة السلامة الطبية (netlify/functions/_shared/safety.js): صف لكل طلب فيه red flag.
+-- action: short_circuit (رد ثابت بدون النموذج) | instructed (تعليمات فقط) | amended (أُضيفت ملاحظات للرد) | cached
+-- المراجعة من لوحة التحكم عبر admin-safety-events.
+
+create table if not exists public.safety_events (
+  id           bigserial primary key,
+  ts           timestamptz not null default now(),
+  request_id   text not null,
+  session_id   text,
+  flags        text[] not null default '{}',
+  policies     text[] not null default '{}',
+  action       text not null,
+  amendments   text[] not null default '{}',
+  details      jsonb not null default '{}'::jsonb,
+  reviewed     boolean not null default false,
+  reviewed_by  text,
+  reviewed_at  timestamptz,
+  review_note  text
+);
+
+create index if not exists safety_events_ts_idx         on public.safety_events (ts desc);
+create index if not exists safety_events_open_idx       on public.safety_events (ts desc) where not reviewed;
+create index if not exists safety_events_session_ts_idx on public.safety_events (session_id, ts desc);
+create index if not exists safety_events_flags_idx      on public.safety_events using gin (flags);
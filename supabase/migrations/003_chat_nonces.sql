@@ -0,0 +1,11 @@
+-- Nonces للطلبات الموقّعة على /api/chat (netlify/functions/chat.js): كل nonce يُقبل مرة واحدة.
+-- expires_at = ضعف نافذة التوقيت (5 دقائق)؛ الدالة تحذف المنتهي تدريجيًا.
+
+create table if not exists public.chat_nonces (
+  session_id  text        not null,
+  nonce       text        not null,
+  expires_at  timestamptz not null,
+  primary key (session_id, nonce)
+);
+
+create index if not exists chat_nonces_expires_idx on public.chat_nonces (expires_at);
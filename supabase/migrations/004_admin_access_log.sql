@@ -0,0 +1,17 @@
+-- سجل وصول لوحة التحكم (netlify/functions/_shared/admin-auth.js → logAccess):
+-- من سجّل الدخول، ومن اطّلع على أي جلسة، ومن عدّل إعدادات. يُقرأ من admin-access-log (owner فقط).
+
+create table if not exists public.admin_access_log (
+  id          bigserial primary key,
+  ts          timestamptz not null default now(),
+  admin       text not null,
+  role        text not null,
+  action      text not null,
+  session_id  text,
+  ip          text,
+  details     jsonb not null default '{}'::jsonb
+);
+
+create index if not exists admin_access_log_ts_idx         on public.admin_access_log (ts desc);
+create index if not exists admin_access_log_session_ts_idx on public.admin_access_log (session_id, ts desc);
+create index if not exists admin_access_log_admin_ts_idx   on public.admin_access_log (admin, ts desc);
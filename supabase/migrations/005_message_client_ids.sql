@@ -0,0 +1,12 @@
+-- مزامنة السجل بين الأجهزة (index.html → /api/chat GET + /api/recover-session):
+-- client_id = معرّف الرسالة المحلي (user-<ts> / ai-<ts>) لدمج السجل المحلي مع السيرفر بلا تكرار.
+-- رسائل قديمة بدون client_id تُدمج على العميل بمطابقة الدور والنص والوقت.
+
+alter table public.messages add column if not exists client_id text;
+
+-- نفس الرسالة لا تُحفظ مرتين لو أُعيد إرسالها (الدالة ترجع 200 مع duplicate: true)
+create unique index if not exists messages_session_client_id_idx
+  on public.messages (session_id, client_id) where client_id is not null;
+
+-- استعادة الجلسة بكود الاستعادة: البحث بـ sha256(session_secret)
+create index if not exists sessions_secret_hash_idx on public.sessions (secret_hash);
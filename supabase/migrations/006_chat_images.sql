@@ -0,0 +1,11 @@
+-- صور الشات خارج صفوف messages (netlify/functions/_shared/images.js):
+-- bucket خاص (بدون policies → الوصول بالـ service role فقط)، والعرض بروابط موقّعة قصيرة العمر.
+-- messages.images صار مصفوفة مراجع: [{ hash, mime, bytes, width, height, thumb }]
+-- (صفوف قديمة فيها data URLs نصية تبقى مقروءة كما هي).
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'chat-images', 'chat-images', false, 8388608,
+  array['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif']
+)
+on conflict (id) do nothing;
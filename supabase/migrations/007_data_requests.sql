@@ -0,0 +1,15 @@
+-- طلبات تصدير/حذف بيانات العملاء (netlify/functions/_shared/session-data.js → recordDataRequest):
+-- actor = 'client' (طلب موقّع من صاحب الجلسة عبر /api/my-data) أو اسم الأدمن (admin-delete-session).
+-- يبقى بعد حذف الجلسة كأثر تدقيق: لا محتوى، فقط الأعداد والسبب. يُقرأ من admin-access-log?log=data_requests.
+
+create table if not exists public.data_requests (
+  id          bigserial primary key,
+  ts          timestamptz not null default now(),
+  session_id  text not null,
+  kind        text not null check (kind in ('export', 'erase')),
+  actor       text not null,
+  details     jsonb not null default '{}'::jsonb
+);
+
+create index if not exists data_requests_ts_idx         on public.data_requests (ts desc);
+create index if not exists data_requests_session_ts_idx on public.data_requests (session_id, ts desc);
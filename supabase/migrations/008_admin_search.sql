@@ -0,0 +1,154 @@
+-- بحث وتصفية جلسات العملاء من لوحة التحكم (admin-list-sessions → admin_search_sessions).
+-- البحث نصي على الرسائل بالعربي والإنجليزي: tsvector بإعداد 'simple' (بدون stemming) بعد توحيد الحروف،
+-- والاستعلام بمطابقة البادئة لكل كلمة (:*) فـ "بروت" تطابق "بروتين" و"protein" تطابق "proteins".
+-- الترقيم بالمؤشر (keyset): (قيمة عمود الترتيب، session_id) بدل offset، ثابت مع وصول رسائل جديدة.
+
+-- توحيد النص العربي للبحث: حذف التشكيل والتطويل، أ/إ/آ/ٱ → ا، ى → ي، ة → ه، ؤ → و، ئ → ي
+create or replace function public.normalize_search_text(t text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select lower(translate(
+    regexp_replace(coalesce(t, ''), E'[\u064B-\u065F\u0670\u0640]', '', 'g'),
+    'أإآٱىةؤئ',
+    'اااايهوي'
+  ))
+$$;
+
+alter table public.messages
+  add column if not exists search tsvector
+  generated always as (to_tsvector('simple', public.normalize_search_text(text))) stored;
+
+create index if not exists messages_search_idx     on public.messages using gin (search);
+create index if not exists messages_session_ts_idx on public.messages (session_id, ts, id);
+
+-- هل سلّم المدرب خطة؟ حالة الـ JSON المنظّم (ready | needs_info) لكل طلب plan/workout/meal (gemini-proxy → telemetry)
+alter table public.ai_requests add column if not exists plan_status text;
+
+-- ملخص لكل جلسة (كان مقترحًا في admin-list-sessions ولم يُعرَّف)
+-- lang: لغة الواجهة من آخر طلب للـ AI، وإلا تُستنتج من رسائل العميل (حروف عربية)
+-- first_ts / last_ts بالـ ms مثل messages.ts؛ جلسة بلا رسائل تأخذ created_at
+drop view if exists public.sessions_summary;
+create view public.sessions_summary as
+select
+  s.id::text                                                                 as session_id,
+  s.created_at,
+  coalesce(m.first_ts, (extract(epoch from s.created_at) * 1000)::bigint)    as first_ts,
+  coalesce(m.last_ts,  (extract(epoch from s.created_at) * 1000)::bigint)    as last_ts,
+  m.message_count,
+  m.user_messages,
+  coalesce(r.lang, case
+    when m.user_messages = 0 then null
+    when m.arabic_messages * 2 >= m.user_messages then 'ar'
+    else 'en' end)                                                           as lang,
+  coalesce(f.flags, '{}')                                                    as flags,
+  f.flags is not null                                                        as has_medical_flag,
+  coalesce(r.plan_delivered, false)                                          as plan_delivered,
+  m.preview
+from public.sessions s
+left join lateral (
+  select
+    min(ts)::bigint                                                          as first_ts,
+    max(ts)::bigint                                                          as last_ts,
+    count(*)                                                                 as message_count,
+    count(*) filter (where role = 'user')                                    as user_messages,
+    count(*) filter (where role = 'user' and text ~ '[ء-ي]')                 as arabic_messages,
+    (array_agg(left(text, 140) order by ts) filter (where role = 'user'))[1] as preview
+  from public.messages
+  where session_id = s.id
+) m on true
+left join lateral (
+  select
+    (array_agg(lang order by ts desc) filter (where lang is not null))[1]    as lang,
+    bool_or(status < 400 and plan_status = 'ready')                          as plan_delivered
+  from public.ai_requests
+  where session_id = s.id::text
+) r on true
+left join lateral (
+  select array_agg(distinct flag order by flag) as flags
+  from public.safety_events e, unnest(e.flags) as flag
+  where e.session_id = s.id::text
+) f on true;
+
+-- البحث + التصفية + الترتيب + المؤشر في استعلام واحد.
+-- p_sort من قائمة ثابتة فقط (format %I)؛ المؤشر = قيمة آخر صف (p_after_value نصًا) + session_id
+-- snippet: مقتطف من أحدث رسالة مطابقة، الكلمات المطابقة بين « »
+create or replace function public.admin_search_sessions(
+  p_query         text        default null,
+  p_from          timestamptz default null,
+  p_to            timestamptz default null,
+  p_lang          text        default null,
+  p_min_messages  integer     default null,
+  p_max_messages  integer     default null,
+  p_flagged       boolean     default null,
+  p_plan          boolean     default null,
+  p_sort          text        default 'last_ts',
+  p_desc          boolean     default true,
+  p_after_value   text        default null,
+  p_after_id      text        default null,
+  p_limit         integer     default 50
+)
+returns table (
+  session_id        text,
+  created_at        timestamptz,
+  first_ts          bigint,
+  last_ts           bigint,
+  message_count     bigint,
+  user_messages     bigint,
+  lang              text,
+  flags             text[],
+  has_medical_flag  boolean,
+  plan_delivered    boolean,
+  preview           text,
+  snippet           text
+)
+language plpgsql
+stable
+as $$
+declare
+  sort_col  text := case p_sort
+    when 'first_ts' then 'first_ts'
+    when 'created_at' then 'created_at'
+    when 'message_count' then 'message_count'
+    else 'last_ts' end;
+  sort_type text := case sort_col when 'created_at' then 'timestamptz' else 'bigint' end;
+  tsq       tsquery;
+begin
+  if nullif(btrim(p_query), '') is not null then
+    select to_tsquery('simple', string_agg(quote_literal(w) || ':*', ' & '))
+      into tsq
+      from regexp_split_to_table(public.normalize_search_text(p_query), '[[:space:][:punct:]،؛؟]+') as w
+     where w <> '';
+  end if;
+
+  return query execute format($q$
+    select s.session_id, s.created_at, s.first_ts, s.last_ts, s.message_count, s.user_messages,
+           s.lang, s.flags, s.has_medical_flag, s.plan_delivered, s.preview,
+           case when $1::tsquery is null then null else (
+             select ts_headline('simple', m.text, $1, 'StartSel=«, StopSel=», MaxWords=20, MinWords=8, MaxFragments=1')
+             from public.messages m
+             where m.session_id::text = s.session_id and m.search @@ $1
+             order by m.ts desc
+             limit 1) end
+    from public.sessions_summary s
+    where ($1::tsquery is null or s.session_id in (select m.session_id::text from public.messages m where m.search @@ $1))
+      and ($2::timestamptz is null or s.last_ts  >= (extract(epoch from $2) * 1000)::bigint)
+      and ($3::timestamptz is null or s.first_ts <= (extract(epoch from $3) * 1000)::bigint)
+      and ($4::text is null or s.lang = $4)
+      and ($5::integer is null or s.message_count >= $5)
+      and ($6::integer is null or s.message_count <= $6)
+      and ($7::boolean is null or s.has_medical_flag = $7)
+      and ($8::boolean is null or s.plan_delivered = $8)
+      and ($9::text is null or (s.%1$I, s.session_id) %2$s ($9::%3$s, $10))
+    order by s.%1$I %4$s, s.session_id %4$s
+    limit $11
+  $q$, sort_col, case when p_desc then '<' else '>' end, sort_type, case when p_desc then 'desc' else 'asc' end)
+  using tsq, p_from, p_to, p_lang, p_min_messages, p_max_messages, p_flagged, p_plan,
+        p_after_value, coalesce(p_after_id, ''), least(greatest(coalesce(p_limit, 50), 1), 200);
+end
+$$;
+
+-- للدوال فقط (service role)؛ العميل لا يصل للملخص ولا للبحث
+revoke all on function public.admin_search_sessions(text, timestamptz, timestamptz, text, integer, integer, boolean, boolean, text, boolean, text, text, integer) from public, anon, authenticated;
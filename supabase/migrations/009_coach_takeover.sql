@@ -0,0 +1,14 @@
+-- تدخّل المدرب البشري في جلسة العميل (admin-coach-session → index.html يستقبلها عبر /api/chat GET كل فترة):
+-- role = 'coach' لرسائل المدرب من لوحة التحكم؛ author = اسم الأدمن (لا يُرسل للعميل).
+-- ai_paused: العميل لا يستدعي gemini-proxy طالما المدرب يتابع بنفسه (الحالة ترجع مع GET/POST /api/chat).
+
+alter table public.messages add column if not exists author text;
+
+-- العميل يكتب user/assistant فقط (chat.js)؛ coach من دوال الأدمن فقط
+alter table public.messages drop constraint if exists messages_role_check;
+alter table public.messages
+  add constraint messages_role_check check (role in ('user', 'assistant', 'coach')) not valid;
+
+alter table public.sessions add column if not exists ai_paused    boolean not null default false;
+alter table public.sessions add column if not exists ai_paused_by text;
+alter table public.sessions add column if not exists ai_paused_at timestamptz;
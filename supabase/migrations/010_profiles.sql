@@ -0,0 +1,12 @@
+-- الملف الشخصي المنظّم لكل جلسة (_shared/profile.js): يُستخرج من رسائل العميل في الخلفية
+-- (chat.js → profile-extract-background) ومن شاشة البيانات الأولى (/api/profile)، ويُعدَّل من لوحة التحكم (admin-profile).
+-- fields = { key: { value, source: chat|form|admin, quote, message_id, updated_at, confirmed_at } }
+-- المفاتيح: name, age, country, sex, weight_kg, height_cm, goal, timeline_weeks, training_environment,
+--           injuries[], medications[], diet_restrictions[], budget, sleep_hours
+
+create table if not exists public.profiles (
+  session_id  text        primary key,
+  fields      jsonb       not null default '{}'::jsonb,
+  updated_at  timestamptz not null default now(),
+  updated_by  text        -- extractor | client | اسم الأدمن
+);
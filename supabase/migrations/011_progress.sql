@@ -0,0 +1,20 @@
+-- متابعة التقدّم (/api/progress → netlify/functions/progress.js، الحساب في _shared/progress.js):
+-- قراءة مؤرخة لكل صف. الوحدات ثابتة: weight كجم، waist/hip/arm سم، body_fat %، adherence من 0 إلى 10.
+-- photo: صورة تقدّم في images (مراجع Storage بنفس صيغة رسائل الشات، نفس مجلد الجلسة → تُحذف مع الجلسة).
+-- client_id من العميل: إعادة الإرسال لا تكرر القراءة.
+
+create table if not exists public.progress_entries (
+  id          bigserial   primary key,
+  session_id  text        not null,
+  client_id   text        not null,
+  date        date        not null,
+  kind        text        not null check (kind in ('weight', 'waist', 'hip', 'arm', 'body_fat', 'adherence', 'photo')),
+  value       numeric,
+  images      jsonb       not null default '[]'::jsonb,
+  note        text,
+  created_at  timestamptz not null default now(),
+  check (kind = 'photo' or value is not null),
+  unique (session_id, client_id)
+);
+
+create index if not exists progress_entries_session_date_idx on public.progress_entries (session_id, date, id);
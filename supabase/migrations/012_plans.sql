@@ -0,0 +1,17 @@
+-- الخطط المحفوظة كإصدارات (/api/plans → netlify/functions/plans.js، المنطق في _shared/plans.js):
+-- كل خطة جاهزة (plan_json / workout_json / meal_json بحالة ready) تُحفظ بإصدار جديد لكل جلسة: 1، 2، 3…
+-- plan = نفس JSON المتحقق منه بالـ schema (_shared/structured.js) → العرض والطباعة والتقويم والمقارنة تُبنى منه.
+-- message_client_id = client_id لرسالة الشات التي جاءت بالخطة: إعادة الحفظ من نفس الرسالة لا تنشئ إصدارًا جديدًا.
+
+create table if not exists public.plans (
+  id                 bigserial   primary key,
+  session_id         text        not null,
+  version            int         not null,
+  mode               text        not null check (mode in ('plan_json', 'workout_json', 'meal_json')),
+  message_client_id  text,
+  title              text,
+  plan               jsonb       not null,
+  created_at         timestamptz not null default now(),
+  unique (session_id, version),
+  unique (session_id, message_client_id)
+);